@@ -23,6 +23,9 @@
  * immediately, processes in the background, and sends the
  * final JSON report to your callback URL when done.
  * This solves client-side timeouts (e.g., Make.com & n8n).
+ * Big jobs are split across trigger runs: each run copies for
+ * up to CONFIG.JOB_TIME_BUDGET_MS, saves a checkpoint, and the
+ * next run resumes, so async jobs are not capped at 6 minutes.
  *
  * ASYNC POST EXAMPLE:
  * {
@@ -32,6 +35,16 @@
  * "newFolderName": "My Async Copy",
  * "callbackUrl": "https://hook.make.com/..."
  * }
+ *
+ * Any request can send the key as ?apiKey=... in the URL instead, which
+ * keeps it out of logged request bodies (web apps can't read headers).
+ *
+ * JOB STATUS / CANCEL EXAMPLE (POST, or GET ?apiKey=...&jobId=...):
+ * {
+ * "apiKey": "YOUR_SECRET_KEY",
+ * "action": "status", // or "cancel"
+ * "jobId": "THE_JOB_ID" // or "batchId": "THE_BATCH_ID"
+ * }
  */
 
 // --- CONFIGURATION ---
@@ -43,11 +56,159 @@
 const CONFIG = {
   JSON_REPORT_FILENAME: '_folder_structure_report.json',
   SAVE_JSON_REPORT_DEFAULT: true,
+  // Report formats a request can ask for besides JSON (reportFormats), and
+  // the files they are saved as, next to the JSON report.
+  REPORT_FORMATS: {
+    paths: { fileName: '_folder_paths.json', mimeType: 'application/json' },
+    csv: { fileName: '_folder_manifest.csv', mimeType: 'text/csv' },
+    markdown: { fileName: '_folder_index.md', mimeType: 'text/markdown' },
+    html: { fileName: '_folder_index.html', mimeType: 'text/html' },
+    sheet: { fileName: '_folder_manifest', mimeType: 'application/vnd.google-apps.spreadsheet' }
+  },
+
+  // --- API Keys ---
+  // API_KEY is the original single, unrestricted key. API_KEYS holds named,
+  // scoped keys as JSON (see README), and API_KEY_USAGE their usage counts.
+  API_KEY_PROPERTY_NAME: 'API_KEY',
+  API_KEYS_PROPERTY_NAME: 'API_KEYS',
+  API_KEY_USAGE_PROPERTY_NAME: 'API_KEY_USAGE',
+
+  // --- Rate Limits & Quotas ---
+  // Limits for keys that don't set their own ("limits" in API_KEYS).
+  // null means no limit. dailyFileCopies counts files copied per UTC day.
+  DEFAULT_API_KEY_LIMITS: {
+    requestsPerMinute: 60,  // Copy requests, sync and async
+    maxConcurrentJobs: null, // Sync copies plus started (incl. paused) async jobs
+    maxQueuedJobs: null,     // Async jobs waiting to start
+    dailyFileCopies: null
+  },
+  ACTIVE_JOBS_PROPERTY_NAME: 'ACTIVE_JOBS', // Unfinished jobs, by API key
+  DAILY_FILE_COPIES_PROPERTY_NAME: 'API_KEY_DAILY_FILE_COPIES',
+  // Files a copy takes from its key's daily budget at a time (see checkFileQuota).
+  DAILY_FILE_COPIES_CHUNK: 20,
+  // Suggested wait when a concurrency or queue limit is hit.
+  JOB_LIMIT_RETRY_AFTER_SECONDS: 60,
   
   // --- Async Job Queue Settings ---
-  // Jobs will be stored in CacheService. 6 hours (21600 sec) is max.
-  JOB_EXPIRATION_SECONDS: 21600, 
-  JOB_QUEUE_PROPERTY_NAME: 'JOB_QUEUE' // Property to store pending job IDs
+  JOB_QUEUE_PROPERTY_NAME: 'JOB_QUEUE', // Property to store pending job IDs
+  JOB_CANCEL_PROPERTY_PREFIX: 'JOB_CANCEL_', // Property flagging a running job for cancellation
+  // How often (ms) a running job checks whether it has been cancelled.
+  JOB_CANCEL_CHECK_MS: 15000,
+  // Most copies one batch request ('jobs' array) may queue.
+  BATCH_MAX_JOBS: 25,
+  // Queued jobs start highest 'priority' first (oldest first within one).
+  JOB_PRIORITIES: { high: 2, normal: 1, low: 0 },
+  // Script property indexing schedules (schedule ID -> next run time);
+  // the schedules themselves are files in the job store.
+  SCHEDULES_PROPERTY_NAME: 'SCHEDULES',
+  // Number of processJobQueue triggers created by runManually_setupTrigger.
+  // More than 1 runs that many queued jobs side by side.
+  QUEUE_WORKERS: 1,
+
+  // --- Resumable Job Settings ---
+  // An async job stops after this long in one trigger run, saves a
+  // checkpoint and resumes on the next run. 4.5 min leaves headroom under
+  // Google's 6-minute limit to save the checkpoint. A run works through
+  // queued jobs one after another within this budget, but doesn't start
+  // another one with less than JOB_MIN_START_MS left.
+  JOB_TIME_BUDGET_MS: 270000,
+  JOB_MIN_START_MS: 30000,
+  // Job records (request, status, checkpoint and final report) can outgrow
+  // CacheService's 100KB limit and 6-hour expiry, so they are saved as JSON
+  // files in this Drive folder (created in My Drive on first use).
+  JOB_STORE_FOLDER_NAME: '_folder_copy_jobs',
+  JOB_STORE_FOLDER_PROPERTY_NAME: 'JOB_STORE_FOLDER_ID',
+  // Finished job records are kept this long so their status can be looked up.
+  JOB_RECORD_RETENTION_DAYS: 7,
+
+  // --- Dry Run Estimates ---
+  // Rough per-item copy times (from real runs) used to estimate a job's
+  // duration, and the longest estimate still considered safe for sync mode.
+  ESTIMATE_MS_PER_FOLDER: 1000,
+  ESTIMATE_MS_PER_FILE: 1500,
+  SYNC_MODE_SAFE_LIMIT_MS: 240000,
+
+  // --- Drive Retry Settings ---
+  // Transient Drive errors ("Service error", rate limits...) are retried
+  // with exponential backoff (1, 2, 4, 8s...), as long as the job's time
+  // budget allows; otherwise an async job pauses and retries on its next run.
+  // A failed create may have gone through anyway, so it is only tried again
+  // if the item can't be found (see findCreatedItem).
+  DRIVE_RETRY_MAX_ATTEMPTS: 5,
+  DRIVE_RETRY_BASE_DELAY_MS: 1000,
+  DRIVE_RETRY_MAX_DELAY_MS: 16000,
+  DRIVE_CREATE_LOOKUP_SLACK_MS: 5000, // Clock difference allowed between this script and Drive
+
+  // --- Shared Drives ---
+  // A Shared Drive holds at most this many items (files and folders, trashed
+  // ones included). Copies into one are checked against it before they start.
+  // All Shared Drive handling needs the Drive advanced service.
+  SHARED_DRIVE_ITEM_LIMIT: 400000,
+
+  // --- Rollback ---
+  // A rollback only trashes items not changed since their job finished.
+  // Changes within this long after it (e.g. Drive's own post-processing
+  // of new files) don't count.
+  ROLLBACK_CHANGE_GRACE_MS: 60000,
+
+  // --- Callback Delivery Settings ---
+  // Failed callbacks are retried on later trigger runs with exponential
+  // backoff (1, 2, 4, 8 min...) and become dead letters after the last try.
+  CALLBACK_MAX_ATTEMPTS: 6,
+  CALLBACK_RETRY_BASE_DELAY_MS: 60000,
+  CALLBACK_RETRY_BATCH_SIZE: 10, // Max retries per trigger run
+  CALLBACK_RETRY_BUDGET_MS: 60000, // No new retry after this long in a run (the rest is for jobs)
+  CALLBACK_RETRY_PENDING_PROPERTY_NAME: 'CALLBACK_RETRY_PENDING',
+  // Optional: set this script property to sign callbacks (X-Copy-Signature)
+  CALLBACK_SECRET_PROPERTY_NAME: 'CALLBACK_SECRET'
+};
+
+// --- ERROR CODES ---
+
+/**
+ * Every error response carries one of these codes, with an HTTP-style
+ * status (Apps Script web apps always answer 200, so it's in the body)
+ * and whether sending the same request again later may succeed.
+ */
+const ERROR_CODES = {
+  // Request errors
+  INVALID_REQUEST: { httpStatus: 400, retryable: false },     // Malformed body, missing or invalid parameter
+  INVALID_FOLDER_ID: { httpStatus: 400, retryable: false },
+  AUTH_INVALID: { httpStatus: 401, retryable: false },
+  AUTH_EXPIRED: { httpStatus: 401, retryable: false },
+  FORBIDDEN: { httpStatus: 403, retryable: false },           // Outside the key's scope, or not an admin key
+  CONFIRMATION_REQUIRED: { httpStatus: 400, retryable: false }, // Trash / stripSharing without a matching `confirm`
+  SOURCE_NOT_FOUND: { httpStatus: 404, retryable: false },
+  DESTINATION_NOT_FOUND: { httpStatus: 404, retryable: false },
+  TARGET_NOT_FOUND: { httpStatus: 404, retryable: false },
+  REPORT_NOT_FOUND: { httpStatus: 404, retryable: false },    // reportFolderId or reportSheetId
+  JOB_NOT_FOUND: { httpStatus: 404, retryable: false },
+  BATCH_NOT_FOUND: { httpStatus: 404, retryable: false },
+  SCHEDULE_NOT_FOUND: { httpStatus: 404, retryable: false },
+  DEAD_LETTER_NOT_FOUND: { httpStatus: 404, retryable: false },
+  JOB_ALREADY_FINISHED: { httpStatus: 409, retryable: false },
+  JOB_NOT_FINISHED: { httpStatus: 409, retryable: true },     // Rolling back a job that is still queued or running
+  RATE_LIMITED: { httpStatus: 429, retryable: true },         // requestsPerMinute
+  QUOTA_EXCEEDED: { httpStatus: 429, retryable: true },       // Job and daily file limits
+  // Server errors
+  CONFIG_ERROR: { httpStatus: 500, retryable: false },        // Script properties or services not set up
+  INTERNAL_ERROR: { httpStatus: 500, retryable: false },
+  COPY_FAILED: { httpStatus: 500, retryable: false },
+  OPERATION_FAILED: { httpStatus: 500, retryable: false },    // A move, archive, trash or rollback job failed
+  JOB_CANCELLED: { httpStatus: 409, retryable: false },
+  PARTIAL_FAILURE: { httpStatus: 207, retryable: false },     // The job finished, but some items failed (see `data.errors`)
+  QUEUE_UNAVAILABLE: { httpStatus: 503, retryable: true },    // Job queue lock busy
+  SERVICE_UNAVAILABLE: { httpStatus: 503, retryable: true },  // Transient Drive / Apps Script error
+  // Per-item errors in a copy report's `errors`
+  FILE_COPY_FAILED: { httpStatus: 500, retryable: false },
+  FOLDER_COPY_FAILED: { httpStatus: 500, retryable: false },  // The folder and everything in it were left out
+  METADATA_COPY_FAILED: { httpStatus: 500, retryable: false },
+  PLACEHOLDER_REPLACE_FAILED: { httpStatus: 500, retryable: false },
+  LINK_REWRITE_FAILED: { httpStatus: 500, retryable: false },
+  CONVERSION_FAILED: { httpStatus: 500, retryable: false },   // A `convert` rule's export or import failed
+  REPORT_SAVE_FAILED: { httpStatus: 500, retryable: false },
+  SHARED_DRIVE_RESTRICTED: { httpStatus: 403, retryable: false }, // The Shared Drive doesn't let this account copy the file
+  SHARED_DRIVE_ITEM_LIMIT: { httpStatus: 403, retryable: false }  // Stops the whole copy: the destination Shared Drive is full
 };
 
 // --- ONE-TIME ASYNC SETUP ---
@@ -55,7 +216,9 @@ const CONFIG = {
 /**
  * YOU MUST RUN THIS MANUALLY ONE TIME *ONLY IF* you plan to use
  * the asynchronous callback mode.
- * This sets up the 1-minute trigger that processes the job queue.
+ * This sets up the 1-minute trigger that processes the job queue
+ * (CONFIG.QUEUE_WORKERS of them, to run several jobs at once).
+ * Run it again after changing CONFIG.QUEUE_WORKERS.
  */
 function runManually_setupTrigger() {
   // Delete any old triggers to avoid duplicates
@@ -66,15 +229,17 @@ function runManually_setupTrigger() {
     }
   }
 
-  // Create a new trigger that runs 'processJobQueue' every 1 minute.
+  // Create new triggers that run 'processJobQueue' every 1 minute.
   // You can change 'everyMinutes(1)' to 'everyMinutes(5)' or 'everyHours(1)'
   // to trade responsiveness for lower quota usage.
-  ScriptApp.newTrigger('processJobQueue')
-    .timeBased()
-    .everyMinutes(1)
-    .create();
+  for (var worker = 0; worker < CONFIG.QUEUE_WORKERS; worker++) {
+    ScriptApp.newTrigger('processJobQueue')
+      .timeBased()
+      .everyMinutes(1)
+      .create();
+  }
 
-  Logger.log('Successfully created 1-minute trigger for processJobQueue.');
+  Logger.log('Successfully created ' + CONFIG.QUEUE_WORKERS + ' 1-minute trigger(s) for processJobQueue.');
 }
 
 /**
@@ -103,46 +268,79 @@ function runManually_removeTrigger() {
 
 /**
  * Main entry point for POST requests to the Web App.
+ * The optional 'action' field picks what to do: 'copy' (default; a 'jobs'
+ * array makes it a batch, 'runAt' or 'recurrence' a schedule, and an
+ * 'operation' of 'move', 'archive' or 'trash' works on the source folder
+ * itself instead of copying it), 'status' or
+ * 'cancel' (both take a 'jobId' or 'batchId'), 'rollback' (takes a
+ * 'jobId', a matching 'confirm' and an optional 'callbackUrl', and queues
+ * a rollback job), 'listSchedules',
+ * 'deleteSchedule' (takes a 'scheduleId'), 'listDeadLetters' or
+ * 'replayDeadLetter' (takes a 'deliveryId').
  * @param {object} e - The event parameter from the POST request.
  * @returns {GoogleAppsScript.Content.TextOutput} A JSON response.
  */
 function doPost(e) {
   try {
-    // 1. Parse and Validate Request
-    var params = validateRequest(e);
+    // 1. Parse and Authenticate Request
+    // (The key can also be sent as ?apiKey=... in the URL, to keep it out of the body.)
+    var params = parseRequestBody(e);
+    var apiKey = authenticateRequest(params.apiKey || (e.parameter && e.parameter.apiKey));
+    var action = params.action || 'copy';
+    recordApiKeyUsage(apiKey, action);
+
+    // 2. Job status, cancellation and callback admin actions
+    switch (action) {
+      case 'copy':
+        break;
+      case 'status':
+        return jsonResponse(params.batchId ? getBatchStatus(params.batchId, apiKey) : getJobStatus(params.jobId, apiKey));
+      case 'cancel':
+        return jsonResponse(params.batchId ? cancelBatch(params.batchId, apiKey) : cancelJob(params.jobId, apiKey));
+      case 'rollback':
+        return jsonResponse(rollbackJob(params.jobId, params.confirm, params.callbackUrl, apiKey), 202);
+      case 'listSchedules':
+        return jsonResponse(listSchedules(apiKey));
+      case 'deleteSchedule':
+        return jsonResponse(deleteSchedule(params.scheduleId, apiKey));
+      case 'listDeadLetters':
+        requireAdminKey(apiKey);
+        return jsonResponse(listDeadLetters());
+      case 'replayDeadLetter':
+        requireAdminKey(apiKey);
+        return jsonResponse(replayDeadLetter(params.deliveryId, params.callbackUrl));
+      default:
+        throw createApiError('INVALID_REQUEST', "Unknown action: '" + action + "'. Use 'copy', 'status', 'cancel', 'rollback', " + 
+          "'listSchedules', 'deleteSchedule', 'listDeadLetters' or 'replayDeadLetter'.", { field: 'action' });
+    }
+
+    // 3. Several copies in one call: queue them as a batch
+    if (params.jobs !== undefined) {
+      return jsonResponse(queueBatch(params, apiKey), 202);
+    }
+
+    // 4. A copy for later (or a recurring one): store it as a schedule
+    if (params.runAt !== undefined || params.recurrence !== undefined) {
+      return jsonResponse(createSchedule(params, apiKey), 201);
+    }
+
+    // 5. Validate the copy request
+    validateRequest(params, apiKey);
     
-    // 2. Check for 'callbackUrl' to decide mode
+    // 6. Check for 'callbackUrl' to decide mode
     if (params.callbackUrl) {
       
       // --- ASYNC MODE ---
       // Job will be processed in the background.
       
-      var jobId = Utilities.getUuid();
-      
-      // Store the job details (including callbackUrl) in the cache
-      var jobData = {
-        sourceFolderId: params.sourceFolderId,
-        destinationFolderId: params.destinationFolderId,
-        newFolderName: params.newFolderName,
-        saveJsonOutput: params.saveJsonOutput,
-        callbackUrl: params.callbackUrl,
-        requestTimestamp: new Date().toISOString()
-      };
-      CacheService.getScriptCache().put(
-        'job_' + jobId, 
-        JSON.stringify(jobData), 
-        CONFIG.JOB_EXPIRATION_SECONDS
-      );
-
-      // Add this new job ID to the persistent queue
-      addJobToQueue(jobId);
+      var jobId = queueJob(getJobRequest(params, apiKey), apiKey);
 
       // Return the success response *immediately*
-      return ContentService.createTextOutput(JSON.stringify({
+      return jsonResponse({
         success: true,
         jobId: jobId,
         message: 'Job accepted and queued for processing.'
-      })).setMimeType(ContentService.MimeType.JSON);
+      }, 202);
 
     } else {
       
@@ -152,69 +350,183 @@ function doPost(e) {
       console.log('Execution started (Sync Mode) for user: ' + Session.getActiveUser().getEmail());
     
       // --- Main Function Execution ---
-      var resultJson = copyFolderStructure(
-        params.sourceFolderId, 
-        params.destinationFolderId, 
-        params.newFolderName, 
-        params.saveJsonOutput
-      );
+      var syncJobId = 'sync-' + Utilities.getUuid();
+      reserveJobSlot(apiKey, syncJobId, true);
+      try {
+        var resultJson = copyFolderStructure(
+          params.sourceFolderId, 
+          params.destinationFolderId, 
+          params.newFolderName, 
+          params.saveJsonOutput,
+          getCopyOptions(params),
+          apiKey
+        );
+      } finally {
+        releaseJobSlot(syncJobId);
+      }
       var resultData = JSON.parse(resultJson);
 
-      // --- Return Successful Result ---
-      return ContentService.createTextOutput(JSON.stringify({
-        success: true,
-        data: resultData
-      })).setMimeType(ContentService.MimeType.JSON);
+      // --- Return the Result (an error envelope if it failed or is partial) ---
+      return jsonResponse(buildResultResponse(resultData, 'COPY_FAILED'));
     }
 
   } catch (error) {
     // --- Return Error Result ---
     console.error("Error in handleRequest: " + error.message, error.stack);
-    return ContentService.createTextOutput(JSON.stringify({
-      success: false,
-      error: error.message
-    })).setMimeType(ContentService.MimeType.JSON);
+    return jsonResponse(buildErrorResponse(error));
+  }
+}
+
+/**
+ * Entry point for GET requests: read-only job status lookups.
+ * e.g. <WEB_APP_URL>?apiKey=...&jobId=...
+ * @param {object} e - The event parameter from the GET request.
+ * @returns {GoogleAppsScript.Content.TextOutput} A JSON response.
+ */
+function doGet(e) {
+  try {
+    var params = (e && e.parameter) || {};
+    var apiKey = authenticateRequest(params.apiKey);
+
+    var action = params.action || 'status';
+    if (action !== 'status') {
+      throw createApiError('INVALID_REQUEST', "Unsupported GET action: '" + action + "'. Use POST for anything other than 'status'.", 
+        { field: 'action' });
+    }
+    recordApiKeyUsage(apiKey, action);
+    return jsonResponse(params.batchId ? getBatchStatus(params.batchId, apiKey) : getJobStatus(params.jobId, apiKey));
+
+  } catch (error) {
+    console.error("Error in doGet: " + error.message, error.stack);
+    return jsonResponse(buildErrorResponse(error));
   }
 }
 
 /**
- * Validates the incoming API request.
+ * Wraps an object as a JSON web app response, adding its HTTP-style status
+ * as `httpStatus` (error envelopes from buildErrorResponse already have one).
+ * @param {object} data
+ * @param {number} [httpStatus=200]
+ * @returns {GoogleAppsScript.Content.TextOutput}
+ */
+function jsonResponse(data, httpStatus) {
+  var body = Object.assign({ success: data.success, httpStatus: httpStatus || 200 }, data);
+  return ContentService.createTextOutput(JSON.stringify(body))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Parses the JSON body of a POST request.
  * @param {object} e The POST event.
- * @returns {object} The parsed and validated parameters.
+ * @returns {object} The parsed parameters.
  */
-function validateRequest(e) {
-  var params;
+function parseRequestBody(e) {
   if (e.postData && e.postData.contents) {
-    params = JSON.parse(e.postData.contents);
-  } else {
-    throw new Error('No POST data received.');
+    try {
+      return JSON.parse(e.postData.contents);
+    } catch (parseError) {
+      throw createApiError('INVALID_REQUEST', 'The request body is not valid JSON: ' + parseError.message);
+    }
   }
+  throw createApiError('INVALID_REQUEST', 'No POST data received.');
+}
 
-  // 1. API Key Authentication
-  var scriptProperties = PropertiesService.getScriptProperties();
-  var expectedApiKey = scriptProperties.getProperty('API_KEY');
-  if (!expectedApiKey) {
-    throw new Error('API key has not been set. Please add it to Project Settings > Script Properties.');
+/**
+ * Checks the request's API key against the configured keys.
+ * @param {string} providedKey The key sent with the request.
+ * @returns {object} The matching key's settings (see loadApiKeys).
+ */
+function authenticateRequest(providedKey) {
+  var apiKeys = loadApiKeys();
+  if (!apiKeys.length) {
+    throw createApiError('CONFIG_ERROR', 'API key has not been set. Please add it to Project Settings > Script Properties.');
+  }
+  var apiKey = providedKey ? apiKeys.find(entry => [].concat(entry.key).indexOf(providedKey) !== -1) : null;
+  if (!apiKey || apiKey.disabled) {
+    throw createApiError('AUTH_INVALID', 'Unauthorized. Invalid API key.');
   }
-  if (params.apiKey !== expectedApiKey) {
-    throw new Error('Unauthorized. Invalid API key.');
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= new Date().getTime()) {
+    throw createApiError('AUTH_EXPIRED', 'Unauthorized. API key "' + apiKey.name + '" expired on ' + apiKey.expiresAt + '.', 
+      { apiKeyName: apiKey.name, expiresAt: apiKey.expiresAt });
   }
+  return apiKey;
+}
 
-  // 2. Rate Limiting (if sync)
-  if (!params.callbackUrl) {
-    checkRateLimit();
+/**
+ * Validates an (already authenticated) copy request.
+ * @param {object} params The parsed request parameters.
+ * @param {object} apiKey The request's key (from authenticateRequest).
+ * @returns {object} The validated parameters, with defaults applied.
+ */
+function validateRequest(params, apiKey) {
+  // 1. Rate Limiting
+  checkRequestRate(apiKey);
+
+  return validateCopyParams(params, apiKey);
+}
+
+/**
+ * Validates one copy's parameters (everything but the rate limit, which
+ * a batch only counts once).
+ * @param {object} params
+ * @param {object} apiKey
+ * @returns {object} The validated parameters, with defaults applied.
+ */
+function validateCopyParams(params, apiKey) {
+  if (params.operation !== undefined && params.operation !== 'copy' && !isFolderOperation(params)) {
+    throw createApiError('INVALID_REQUEST', "Invalid operation: '" + params.operation + "'. Use 'copy', 'move', 'archive' or 'trash'.", 
+      { field: 'operation' });
+  }
+  if (isFolderOperation(params)) {
+    return validateOperationParams(params, apiKey);
   }
 
-  // 3. Validate essential parameters
-  var { sourceFolderId, destinationFolderId } = params;
-  if (!sourceFolderId || !destinationFolderId) {
-    throw new Error('Missing required parameters: sourceFolderId and destinationFolderId.');
+  // 2. Validate essential parameters
+  var { sourceFolderId, destinationFolderId, targetFolderId } = params;
+  var isUpdate = params.mode === 'update';
+  if (params.mode !== undefined && params.mode !== 'copy' && !isUpdate) {
+    throw createApiError('INVALID_REQUEST', "Invalid mode: '" + params.mode + "'. Use 'copy' or 'update'.", { field: 'mode' });
+  }
+  if (isUpdate) {
+    if (!sourceFolderId || !targetFolderId) {
+      throw createApiError('INVALID_REQUEST', "Missing required parameters for mode 'update': sourceFolderId and targetFolderId.", 
+        { field: !sourceFolderId ? 'sourceFolderId' : 'targetFolderId' });
+    }
+  } else if (!sourceFolderId || !destinationFolderId) {
+    throw createApiError('INVALID_REQUEST', 'Missing required parameters: sourceFolderId and destinationFolderId.', 
+      { field: !sourceFolderId ? 'sourceFolderId' : 'destinationFolderId' });
   }
 
-  // 4. Validate folder access
-  validateInput(sourceFolderId, destinationFolderId);
+  // 3. Validate folder access
+  // (In update mode the existing copy, targetFolderId, takes the destination's place.)
+  var copyToFolderId = isUpdate ? targetFolderId : destinationFolderId;
+  validateInput(sourceFolderId, copyToFolderId);
   verifyFolderAccess(sourceFolderId, 'Source');
-  verifyFolderAccess(destinationFolderId, 'Destination');
+  verifyFolderAccess(copyToFolderId, isUpdate ? 'Target' : 'Destination');
+  validateReportOptions(params);
+  checkApiKeyScope(apiKey, params, copyToFolderId);
+  checkSharedDriveAccess(params, copyToFolderId);
+
+  // 4. Validate copy options
+  validateVariables(params.variables);
+  validateFilters(params.filters);
+  validateShareWith(params.shareWith);
+  validateProperties(params.properties);
+  validateConvertRules(params.convert);
+  validateJobSettings(params);
+  if (params.onFailure !== undefined && ['keep', 'rollback'].indexOf(params.onFailure) === -1) {
+    throw createApiError('INVALID_REQUEST', "Invalid onFailure: '" + params.onFailure + "'. Use 'keep' or 'rollback'.", 
+      { field: 'onFailure' });
+  }
+  if (params.shortcuts !== undefined && ['copy', 'retarget', 'skip'].indexOf(params.shortcuts) === -1) {
+    throw createApiError('INVALID_REQUEST', "Invalid shortcuts: '" + params.shortcuts + "'. Use 'copy', 'retarget' or 'skip'.", 
+      { field: 'shortcuts' });
+  }
+  ['dryRun', 'overwriteNewer', 'deleteOrphans', 'copyPermissions', 'copyMetadata', 'rewriteLinks'].forEach(key => {
+    if (params[key] !== undefined && typeof params[key] !== 'boolean') {
+      throw createApiError('INVALID_REQUEST', 'Invalid ' + key + '. Expected true or false.', { field: key });
+    }
+  });
 
   // 5. Set saveJsonOutput default
   params.saveJsonOutput = (params.saveJsonOutput !== undefined)
@@ -224,431 +536,5931 @@ function validateRequest(e) {
   return params;
 }
 
+/**
+ * Checks the settings copies and folder operations share: `timeZone` (for
+ * date tokens) and the queue `priority`.
+ * @param {object} params
+ */
+function validateJobSettings(params) {
+  if (params.timeZone !== undefined && !isValidTimeZone(params.timeZone)) {
+    throw createApiError('INVALID_REQUEST', "Invalid timeZone: '" + params.timeZone + "'. Use an IANA name like 'Europe/Berlin'.", 
+      { field: 'timeZone' });
+  }
+  if (params.priority !== undefined && !CONFIG.JOB_PRIORITIES.hasOwnProperty(params.priority)) {
+    throw createApiError('INVALID_REQUEST', "Invalid priority: '" + params.priority + "'. Use 'high', 'normal' or 'low'.", 
+      { field: 'priority' });
+  }
+}
 
-// --- BACKGROUND JOB PROCESSING (ASYNC MODE) ---
+/**
+ * Builds the request details stored in an async job's record.
+ * @param {object} params The validated request parameters.
+ * @param {object} apiKey
+ * @returns {object}
+ */
+function getJobRequest(params, apiKey) {
+  return {
+    sourceFolderId: params.sourceFolderId,
+    destinationFolderId: params.destinationFolderId,
+    newFolderName: params.newFolderName,
+    saveJsonOutput: params.saveJsonOutput,
+    options: getCopyOptions(params),
+    callbackUrl: params.callbackUrl,
+    priority: params.priority || 'normal',
+    apiKeyName: apiKey.name, // Only this key (or an admin key) can see or cancel the job
+    requestTimestamp: new Date().toISOString()
+  };
+}
 
 /**
- * Adds a job ID to the persistent queue (using PropertiesService).
- * This uses LockService to prevent race conditions.
- * @param {string} jobId - The new job ID to add.
+ * Creates an async job's record and adds it to the queue.
+ * @param {object} jobRequest - From getJobRequest.
+ * @param {object} apiKey
+ * @returns {string} The new job's ID.
  */
-function addJobToQueue(jobId) {
-  var lock = LockService.getScriptLock();
+function queueJob(jobRequest, apiKey) {
+  var jobId = Utilities.getUuid();
+
+  // Store the job details (including callbackUrl) in a durable job record
+  reserveJobSlot(apiKey, jobId, false, jobRequest.priority);
   try {
-    lock.waitLock(30000); // Wait up to 30s for lock
-    
-    var properties = PropertiesService.getScriptProperties();
-    var queueJson = properties.getProperty(CONFIG.JOB_QUEUE_PROPERTY_NAME);
-    var queue = queueJson ? JSON.parse(queueJson) : [];
-    
-    queue.push(jobId);
-    
-    properties.setProperty(CONFIG.JOB_QUEUE_PROPERTY_NAME, JSON.stringify(queue));
-    
+    saveJobRecord(createJobRecord(jobId, jobRequest));
+
+    // Add this new job ID to the persistent queue
+    addJobToQueue(jobId);
   } catch (e) {
-    console.error('Could not get lock to add job to queue: ' + e.message);
-    throw new Error('Failed to queue job, could not acquire lock.');
-  } finally {
-    lock.releaseLock();
+    releaseJobSlot(jobId);
+    throw e;
   }
+  return jobId;
 }
 
 /**
- * Gets the next job ID from the queue.
- * This is "atomic" (pops the job and saves the new queue)
- * @returns {string|null} The next job ID, or null if queue is empty.
+ * Picks the copy options out of a validated request.
+ * @param {object} params The validated request parameters.
+ * @returns {object} Options for copyFolderStructure / startCopyJob.
  */
-function getNextJobFromQueue() {
-  var lock = LockService.getScriptLock();
-  try {
-    lock.waitLock(30000);
-    
-    var properties = PropertiesService.getScriptProperties();
-    var queueJson = properties.getProperty(CONFIG.JOB_QUEUE_PROPERTY_NAME);
-    
-    if (!queueJson) {
-      return null;
-    }
-    
-    var queue = JSON.parse(queueJson);
-    if (queue.length === 0) {
-      return null;
+function getCopyOptions(params) {
+  return {
+    operation: params.operation || 'copy', // Or 'move', 'archive' or 'trash' (see FOLDER OPERATIONS)
+    variables: params.variables || {},
+    filters: params.filters || null,
+    dryRun: params.dryRun === true,
+    mode: params.mode || 'copy',
+    targetFolderId: params.targetFolderId || null,
+    overwriteNewer: params.overwriteNewer === true,
+    deleteOrphans: params.deleteOrphans === true,
+    copyPermissions: params.copyPermissions === true,
+    shareWith: params.shareWith || null,
+    properties: params.properties || null,
+    copyMetadata: params.copyMetadata === true || !!params.properties, // Descriptions, stars and properties (see copyItemMetadata)
+    shortcuts: params.shortcuts || 'copy',
+    rewriteLinks: params.rewriteLinks === true,
+    convert: params.convert || null,
+    onFailure: params.onFailure || 'keep', // 'rollback' trashes everything a failed copy created
+    timeZone: params.timeZone || null, // For {{date}} tokens (script time zone if not set)
+    reportFormats: params.reportFormats || ['json'],
+    reportFolderId: params.reportFolderId || null, // Save report files here instead of in the new folder
+    reportSheetId: params.reportSheetId || null,   // Append the 'sheet' report to this spreadsheet
+    stripSharing: params.stripSharing === true,     // archive only
+    dateSuffix: params.dateSuffix || null           // archive only: true or a date pattern
+  };
+}
+
+
+// --- API ERRORS ---
+
+/**
+ * Creates an error with a stable code from ERROR_CODES.
+ * @param {string} code
+ * @param {string} message
+ * @param {object} [details] - Machine-readable context, e.g. { field: 'mode' }.
+ * @returns {Error}
+ */
+function createApiError(code, message, details) {
+  var error = new Error(message);
+  error.code = code;
+  error.details = details || {};
+  return error;
+}
+
+/**
+ * Works out the code, status and retryability of any error. Errors
+ * without a code are INTERNAL_ERROR, or SERVICE_UNAVAILABLE if they look
+ * transient (see isTransientDriveError).
+ * @param {Error} error
+ * @param {string} [fallbackCode='INTERNAL_ERROR']
+ * @returns {{code: string, httpStatus: number, retryable: boolean}}
+ */
+function describeError(error, fallbackCode) {
+  var code = error.code && ERROR_CODES[error.code] ? error.code : null;
+  if (!code) {
+    code = isTransientDriveError(error) ? 'SERVICE_UNAVAILABLE' : (fallbackCode || 'INTERNAL_ERROR');
+  }
+  return Object.assign({ code: code }, ERROR_CODES[code]);
+}
+
+/**
+ * Builds the error envelope shared by web app responses and callbacks:
+ * { success: false, httpStatus, code, error, retryable, details }.
+ * `error` stays the plain message, as in earlier versions.
+ * @param {Error} error
+ * @param {string} [fallbackCode] - Code for errors without one.
+ * @returns {object}
+ */
+function buildErrorResponse(error, fallbackCode) {
+  var info = describeError(error, fallbackCode);
+  return {
+    success: false,
+    httpStatus: info.httpStatus,
+    code: info.code,
+    error: error.message,
+    retryable: info.retryable,
+    details: error.details || {}
+  };
+}
+
+
+/**
+ * Builds the response or callback payload for a finished job's report.
+ * A complete result is { success: true, httpStatus: 200, data }. A failed
+ * or partial one gets the error envelope, with the report still in `data`:
+ * a failed job takes the code of the error that stopped it, a partial one
+ * is PARTIAL_FAILURE (retryable if any of its errors is).
+ * @param {object} resultData - The job's report.
+ * @param {string} fallbackCode - Code for a failed job with no error to go on.
+ * @returns {object}
+ */
+function buildResultResponse(resultData, fallbackCode) {
+  var errors = resultData.errors || [];
+  if (resultData.success && !errors.length && resultData.status === 'complete') {
+    return { success: true, httpStatus: 200, data: resultData };
+  }
+
+  var code, message, retryable;
+  if (!resultData.success) {
+    // Item errors have a `type`; the one that stopped the job doesn't.
+    var cause = errors.find(error => !error.type) || errors[0];
+    code = cause ? cause.code : fallbackCode;
+    message = cause ? cause.reason : 'The job failed.';
+    retryable = cause ? cause.retryable : ERROR_CODES[code].retryable;
+  } else {
+    code = 'PARTIAL_FAILURE';
+    message = 'The job finished, but ' + (errors.length || 'some') + ' item(s) had problems. See data.errors.';
+    retryable = errors.some(error => error.retryable);
+  }
+  return {
+    success: false,
+    httpStatus: ERROR_CODES[code].httpStatus,
+    code: code,
+    error: message,
+    retryable: retryable,
+    details: { status: resultData.status },
+    data: resultData
+  };
+}
+
+
+// --- API KEYS ---
+
+/**
+ * Loads all configured API keys. Each is an object with:
+ * - name, key: the key's label and secret. `key` can also be a list of
+ *   secrets, so a new one can be rolled out before the old one is removed.
+ * - allowedSourceFolderIds / allowedDestinationFolderIds (optional): the
+ *   folders (and everything inside them) the key may copy from / into.
+ * - allowedModes (optional): any of 'sync', 'async' and 'dryRun'.
+ * - allowedOperations (optional): any of 'copy', 'move', 'archive' and 'trash'.
+ *   Keys without it may only copy.
+ * - expiresAt (optional): ISO date after which the key stops working.
+ * - disabled (optional): revokes the key without deleting it.
+ * - admin (optional): may see every job and manage dead letters.
+ * The original API_KEY property, if set, is an admin key named 'default'
+ * with no folder or mode restrictions.
+ * @returns {object[]}
+ */
+function loadApiKeys() {
+  var scriptProperties = PropertiesService.getScriptProperties();
+  var apiKeys = [];
+
+  var legacyKey = scriptProperties.getProperty(CONFIG.API_KEY_PROPERTY_NAME);
+  if (legacyKey) {
+    apiKeys.push({ name: 'default', key: legacyKey, admin: true });
+  }
+
+  var json = scriptProperties.getProperty(CONFIG.API_KEYS_PROPERTY_NAME);
+  if (json) {
+    var namedKeys;
+    try {
+      namedKeys = JSON.parse(json);
+    } catch (e) {
+      throw createApiError('CONFIG_ERROR', 'The ' + CONFIG.API_KEYS_PROPERTY_NAME + ' script property is not valid JSON.');
     }
-    
-    // Get next job (FIFO - First In, First Out)
-    var jobId = queue.shift(); 
-    
-    properties.setProperty(CONFIG.JOB_QUEUE_PROPERTY_NAME, JSON.stringify(queue));
-    
-    return jobId;
-    
-  } catch (e) {
-    console.error('Could not get lock to read job queue: ' + e.message);
-    return null;
-  } finally {
-    lock.releaseLock();
+    Object.keys(namedKeys).forEach(name => {
+      var entry = namedKeys[name];
+      var secrets = entry ? [].concat(entry.key) : [];
+      if (!secrets.length || secrets.some(secret => typeof secret !== 'string' || !secret)) {
+        throw createApiError('CONFIG_ERROR', 'API key "' + name + '" in ' + CONFIG.API_KEYS_PROPERTY_NAME + ' has no "key".');
+      }
+      apiKeys.push(Object.assign({}, entry, { name: name }));
+    });
   }
+  return apiKeys;
 }
 
 /**
- * This is the function run by the 1-minute trigger.
- * It checks the queue and processes *one* job.
+ * Checks a copy request against its key's folder and mode restrictions.
+ * Move, archive and trash need the key's explicit `allowedOperations`. They
+ * change their source folder, so that folder must be within the key's
+ * source folders and inside (not one of) its destination folders.
+ * @param {object} apiKey
+ * @param {object} params The request parameters.
+ * @param {string} [copyToFolderId] The destination (or, in update mode, target) folder.
  */
-function processJobQueue() {
-  var jobId = getNextJobFromQueue();
-  
-  if (!jobId) {
-    // Logger.log('Job queue is empty. Sleeping.');
+function checkApiKeyScope(apiKey, params, copyToFolderId) {
+  var operation = params.operation || 'copy';
+  var allowedOperations = apiKey.allowedOperations || ['copy'];
+  if (allowedOperations.indexOf(operation) === -1) {
+    throw createApiError('FORBIDDEN', 'Forbidden. API key "' + apiKey.name + '" may not make ' + operation + ' requests ' + 
+      '(allowed: ' + allowedOperations.join(', ') + ').', { apiKeyName: apiKey.name, operation: operation });
+  }
+  var isBackground = params.callbackUrl || params.runAt !== undefined || params.recurrence !== undefined;
+  var requestMode = params.dryRun === true ? 'dryRun' : (isBackground ? 'async' : 'sync');
+  if (apiKey.allowedModes && apiKey.allowedModes.indexOf(requestMode) === -1) {
+    throw createApiError('FORBIDDEN', 'Forbidden. API key "' + apiKey.name + '" may not make ' + requestMode + ' requests ' + 
+      '(allowed: ' + apiKey.allowedModes.join(', ') + ').', { apiKeyName: apiKey.name, mode: requestMode });
+  }
+  if (operation !== 'copy') {
+    if (apiKey.allowedSourceFolderIds && !isFolderWithin(params.sourceFolderId, apiKey.allowedSourceFolderIds)) {
+      throw createApiError('FORBIDDEN', 'Forbidden. API key "' + apiKey.name + '" may not ' + operation + ' this folder.', 
+        { apiKeyName: apiKey.name, field: 'sourceFolderId' });
+    }
+    var allowedIds = apiKey.allowedDestinationFolderIds;
+    if (allowedIds && (allowedIds.indexOf(params.sourceFolderId) !== -1 || !isFolderWithin(params.sourceFolderId, allowedIds))) {
+      throw createApiError('FORBIDDEN', 'Forbidden. API key "' + apiKey.name + '" may not ' + operation + ' this folder.', 
+        { apiKeyName: apiKey.name, field: 'sourceFolderId' });
+    }
+    if (allowedIds && copyToFolderId && !isFolderWithin(copyToFolderId, allowedIds)) {
+      throw createApiError('FORBIDDEN', 'Forbidden. API key "' + apiKey.name + '" may not move folders into this folder.', 
+        { apiKeyName: apiKey.name, field: 'destinationFolderId' });
+    }
     return;
   }
+  if (apiKey.allowedSourceFolderIds && !isFolderWithin(params.sourceFolderId, apiKey.allowedSourceFolderIds)) {
+    throw createApiError('FORBIDDEN', 'Forbidden. API key "' + apiKey.name + '" may not copy from this source folder.', 
+      { apiKeyName: apiKey.name, field: 'sourceFolderId' });
+  }
+  if (apiKey.allowedDestinationFolderIds && !isFolderWithin(copyToFolderId, apiKey.allowedDestinationFolderIds)) {
+    throw createApiError('FORBIDDEN', 'Forbidden. API key "' + apiKey.name + '" may not copy into this folder.', 
+      { apiKeyName: apiKey.name, field: params.mode === 'update' ? 'targetFolderId' : 'destinationFolderId' });
+  }
+  if (apiKey.allowedDestinationFolderIds && params.reportFolderId && 
+      !isFolderWithin(params.reportFolderId, apiKey.allowedDestinationFolderIds)) {
+    throw createApiError('FORBIDDEN', 'Forbidden. API key "' + apiKey.name + '" may not save reports into this folder.', 
+      { apiKeyName: apiKey.name, field: 'reportFolderId' });
+  }
+  if (apiKey.allowedDestinationFolderIds && params.reportSheetId && 
+      !iteratorToArray(DriveApp.getFileById(params.reportSheetId).getParents())
+        .some(parent => isFolderWithin(parent.getId(), apiKey.allowedDestinationFolderIds))) {
+    throw createApiError('FORBIDDEN', 'Forbidden. API key "' + apiKey.name + '" may not write to this report sheet.', 
+      { apiKeyName: apiKey.name, field: 'reportSheetId' });
+  }
+}
 
-  Logger.log('Found job ' + jobId + '. Starting processing (Async).');
-  
-  var jobDataStr = CacheService.getScriptCache().get('job_' + jobId);
-  if (!jobDataStr) {
-    console.error('Job ' + jobId + ' found in queue but data not found in cache. It may have expired. Discarding.');
-    return;
+/**
+ * @param {string} folderId
+ * @param {string[]} allowedIds
+ * @returns {boolean} True if the folder is one of the allowed folders or
+ *   inside one of them.
+ * @throws FORBIDDEN if a folder on the way up can't be read, or
+ *   SERVICE_UNAVAILABLE if Drive fails for a moment.
+ */
+function isFolderWithin(folderId, allowedIds) {
+  var queue = [folderId];
+  var seen = {};
+  while (queue.length) {
+    var id = queue.shift();
+    if (allowedIds.indexOf(id) !== -1) {
+      return true;
+    }
+    if (seen[id]) {
+      continue;
+    }
+    seen[id] = true;
+    try {
+      var parents = DriveApp.getFolderById(id).getParents();
+      while (parents.hasNext()) {
+        queue.push(parents.next().getId());
+      }
+    } catch (e) {
+      if (isTransientDriveError(e)) {
+        throw createApiError('SERVICE_UNAVAILABLE', 'Could not check where folder ' + folderId + ' is: ' + e.message, 
+          { folderId: folderId });
+      }
+      throw createApiError('FORBIDDEN', 'Forbidden. Could not check where folder ' + folderId + ' is: ' + e.message, 
+        { folderId: folderId });
+    }
   }
-  
-  var jobData = JSON.parse(jobDataStr);
-  var callbackUrl = jobData.callbackUrl;
-  
-  try {
-    // --- Run the *entire* synchronous copy logic ---
-    var resultJson = copyFolderStructure(
-      jobData.sourceFolderId,
-      jobData.destinationFolderId,
-      jobData.newFolderName,
-      jobData.saveJsonOutput
-    );
-    // ---
-    
-    Logger.log('Job ' + jobId + ' completed successfully.');
-    
-    // Send the successful result to the callback URL
-    var responsePayload = {
-      success: true,
-      jobId: jobId,
-      data: JSON.parse(resultJson)
-    };
-    sendCallback(callbackUrl, responsePayload);
+  return false;
+}
 
-  } catch (e) {
-    // The copy job failed!
-    console.error('Job ' + jobId + ' FAILED: ' + e.message, e.stack);
-    
-    // Send the error details to the callback URL
-    var errorPayload = {
-      success: false,
-      jobId: jobId,
-      error: 'Job failed during execution: ' + e.message
-    };
-    sendCallback(callbackUrl, errorPayload);
-    
-  } finally {
-    // Whether it succeeded or failed, remove the job from the cache.
-    CacheService.getScriptCache().remove('job_' + jobId);
+/**
+ * @param {object} apiKey
+ */
+function requireAdminKey(apiKey) {
+  if (!apiKey.admin) {
+    throw createApiError('FORBIDDEN', 'Forbidden. API key "' + apiKey.name + '" is not an admin key.', { apiKeyName: apiKey.name });
   }
 }
 
 /**
- * Sends the final data (success or error) to the callback URL.
- * @param {string} callbackUrl - The URL to send the POST request to.
- * @param {object} payload - The JSON object to send.
+ * Logs a request against its key, and keeps a per-key count and
+ * last-used time in the API_KEY_USAGE script property. Usage counting is
+ * best effort: it is skipped if the lock is busy.
+ * @param {object} apiKey
+ * @param {string} action
  */
-function sendCallback(callbackUrl, payload) {
+function recordApiKeyUsage(apiKey, action) {
+  console.log('API key "' + apiKey.name + '" used for: ' + action);
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(2000)) {
+    return;
+  }
   try {
-    var options = {
-      method: 'post',
-      contentType: 'application/json',
-      payload: JSON.stringify(payload)
-    };
-    
-    UrlFetchApp.fetch(callbackUrl, options);
-    Logger.log('Successfully sent callback to: ' + callbackUrl);
-    
+    var scriptProperties = PropertiesService.getScriptProperties();
+    var usage = JSON.parse(scriptProperties.getProperty(CONFIG.API_KEY_USAGE_PROPERTY_NAME) || '{}');
+    var entry = usage[apiKey.name] || { requests: 0 };
+    entry.requests++;
+    entry.lastUsedAt = new Date().toISOString();
+    entry.lastAction = action;
+    usage[apiKey.name] = entry;
+    scriptProperties.setProperty(CONFIG.API_KEY_USAGE_PROPERTY_NAME, JSON.stringify(usage));
   } catch (e) {
-    console.error('FATAL: Could not send callback to ' + callbackUrl + '. Error: ' + e.message);
-    // At this point, the job is done but the client (Make/n8n)
-    // will never know. This is a potential failure point.
+    console.error('Could not record API key usage: ' + e.message);
+  } finally {
+    lock.releaseLock();
   }
 }
 
 
-// --- CORE COPY LOGIC (Used by Sync and Async) ---
+// --- RATE LIMITS & QUOTAS ---
 
 /**
- * Copies a folder structure and its contents recursively.
- * @param {string} sourceFolderId
- * @param {string} destinationFolderId
- * @param {string} [newFolderName]
- * @param {boolean} [saveJsonOutput]
- * @returns {string} JSON string containing the copy results.
+ * @param {object} apiKey
+ * @returns {object} The key's limits, with defaults for any it doesn't set.
  */
-function copyFolderStructure(sourceFolderId, destinationFolderId, newFolderName, saveJsonOutput) {
-  var startTime = new Date(); // <-- START TIME
-  var success = true;
-  var errors = [];
-  var folderIdMap = {}; // Maps new folder IDs to their node in the structure
-  var createdFiles = [];
-  var newFolder;
-  var mainFolderId;
-  var mainFolderName;
-  var destinationFolder;
-  var reportFile = null; // Stays null if saveJsonOutput is false
-  var reportFileName = CONFIG.JSON_REPORT_FILENAME;
-
-  try {
-    var sourceFolder = DriveApp.getFolderById(sourceFolderId);
-    destinationFolder = DriveApp.getFolderById(destinationFolderId);
-    
-    mainFolderName = newFolderName || sourceFolder.getName();
-    mainFolderName = getUniqueFolderName(destinationFolder, mainFolderName);
-
-    newFolder = destinationFolder.createFolder(mainFolderName);
-    mainFolderId = newFolder.getId();
-
-    var folderStructure = {
-      name: mainFolderName,
-      id: mainFolderId,
-      url: newFolder.getUrl(),
-      subFolders: {},
-      files: {}
-    };
-    folderIdMap[mainFolderId] = folderStructure;
+function getApiKeyLimits(apiKey) {
+  return Object.assign({}, CONFIG.DEFAULT_API_KEY_LIMITS, apiKey && apiKey.limits);
+}
 
-    createFolderStructureRecursive(sourceFolder, newFolder, folderStructure, folderIdMap);
-    copyFilesRecursive(sourceFolder, newFolder, folderStructure, folderIdMap, createdFiles);
+/**
+ * Creates the error thrown when a rate limit (RATE_LIMITED) or quota
+ * (QUOTA_EXCEEDED) is hit.
+ * @param {string} limit - Which limit, e.g. 'requestsPerMinute'.
+ * @param {number} retryAfterSeconds - When the request may succeed again.
+ * @param {string} message
+ * @returns {Error}
+ */
+function createLimitError(limit, retryAfterSeconds, message) {
+  return createApiError(limit === 'requestsPerMinute' ? 'RATE_LIMITED' : 'QUOTA_EXCEEDED', 
+    message + ' Retry after ' + retryAfterSeconds + ' seconds.', 
+    { limit: limit, retryAfterSeconds: retryAfterSeconds });
+}
 
-  } catch (error) {
-    success = false;
-    errors.push(error.toString());
-    console.error("Error in copyFolderStructure: " + error.message, error.stack);
+/**
+ * Counts a copy request against its key's requestsPerMinute limit
+ * (a fixed one-minute window, counted in the script cache).
+ * @param {object} apiKey
+ */
+function checkRequestRate(apiKey) {
+  var limit = getApiKeyLimits(apiKey).requestsPerMinute;
+  if (!limit) {
+    return;
   }
-
-  // --- PREPARE RETURN DATA ---
-  var totalFiles = createdFiles.length;
-  var totalSize = createdFiles.reduce((sum, file) => sum + file.size, 0);
-
+  var now = new Date().getTime();
+  var cacheKey = 'rate_' + apiKey.name + '_' + Math.floor(now / 60000);
+  var lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    var cache = CacheService.getScriptCache();
+    var count = parseInt(cache.get(cacheKey) || '0', 10);
+    if (count >= limit) {
+      throw createLimitError('requestsPerMinute', Math.ceil((60000 - now % 60000) / 1000), 
+        'Rate limit exceeded: ' + limit + ' requests per minute for API key "' + apiKey.name + '".');
+    }
+    cache.put(cacheKey, String(count + 1), 120);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Checks a new job against its key's quotas (daily file copies, and
+ * maxQueuedJobs for async jobs or maxConcurrentJobs for sync copies) and,
+ * if it fits, counts it as active until releaseJobSlot is called.
+ * @param {object} apiKey
+ * @param {string} jobId
+ * @param {boolean} isSync
+ * @param {string} [priority='normal'] - Async jobs' queue priority.
+ */
+function reserveJobSlot(apiKey, jobId, isSync, priority) {
+  var limits = getApiKeyLimits(apiKey);
+  if (limits.dailyFileCopies) {
+    var used = getDailyFileCopies(apiKey.name);
+    if (used >= limits.dailyFileCopies) {
+      throw createLimitError('dailyFileCopies', getSecondsUntilNextDay(), 
+        'Daily file copy budget used up: ' + used + ' of ' + limits.dailyFileCopies + ' files for API key "' + apiKey.name + '".');
+    }
+  }
+
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    var properties = PropertiesService.getScriptProperties();
+    var activeJobs = loadActiveJobs(properties);
+    var counts = countActiveJobs(activeJobs, apiKey.name);
+    if (isSync && limits.maxConcurrentJobs && counts.running >= limits.maxConcurrentJobs) {
+      throw createLimitError('maxConcurrentJobs', CONFIG.JOB_LIMIT_RETRY_AFTER_SECONDS, 
+        'Too many jobs running: API key "' + apiKey.name + '" may run ' + limits.maxConcurrentJobs + ' at a time.');
+    }
+    if (!isSync && limits.maxQueuedJobs && counts.queued >= limits.maxQueuedJobs) {
+      throw createLimitError('maxQueuedJobs', CONFIG.JOB_LIMIT_RETRY_AFTER_SECONDS, 
+        'Too many jobs queued: API key "' + apiKey.name + '" may have ' + limits.maxQueuedJobs + ' waiting at a time.');
+    }
+    activeJobs[jobId] = {
+      apiKeyName: apiKey.name,
+      status: isSync ? 'running' : 'queued',
+      sync: isSync,
+      priority: priority || 'normal',
+      updatedAt: new Date().getTime()
+    };
+    properties.setProperty(CONFIG.ACTIVE_JOBS_PROPERTY_NAME, JSON.stringify(activeJobs));
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Stops counting a finished (or cancelled) job against its key's quotas.
+ * @param {string} jobId
+ */
+function releaseJobSlot(jobId) {
+  var lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+    var properties = PropertiesService.getScriptProperties();
+    var activeJobs = loadActiveJobs(properties);
+    if (activeJobs[jobId]) {
+      delete activeJobs[jobId];
+      properties.setProperty(CONFIG.ACTIVE_JOBS_PROPERTY_NAME, JSON.stringify(activeJobs));
+    }
+  } catch (e) {
+    console.error('Could not release job slot for ' + jobId + ': ' + e.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Loads the active jobs map (job ID -> { apiKeyName, status, sync,
+ * priority, updatedAt }), dropping entries left behind by executions that were
+ * killed: sync copies older than Google's 6-minute limit, and running
+ * async jobs that are neither in the queue nor updated recently.
+ * Call while holding the script lock.
+ * @param {GoogleAppsScript.Properties.Properties} properties
+ * @param {string[]} [queue] - The job queue, if already loaded.
+ * @returns {object}
+ */
+function loadActiveJobs(properties, queue) {
+  var activeJobs = JSON.parse(properties.getProperty(CONFIG.ACTIVE_JOBS_PROPERTY_NAME) || '{}');
+  queue = queue || JSON.parse(properties.getProperty(CONFIG.JOB_QUEUE_PROPERTY_NAME) || '[]');
+  var now = new Date().getTime();
+  Object.keys(activeJobs).forEach(jobId => {
+    var job = activeJobs[jobId];
+    var maxAge = job.sync ? 6 * 60 * 1000 : CONFIG.JOB_TIME_BUDGET_MS * 2;
+    if (job.status === 'running' && now - job.updatedAt > maxAge && queue.indexOf(jobId) === -1) {
+      delete activeJobs[jobId];
+    }
+  });
+  return activeJobs;
+}
+
+/**
+ * @param {object} activeJobs - From loadActiveJobs.
+ * @param {string} apiKeyName
+ * @returns {{running: number, queued: number}}
+ */
+function countActiveJobs(activeJobs, apiKeyName) {
+  var counts = { running: 0, queued: 0 };
+  Object.keys(activeJobs).forEach(jobId => {
+    if (activeJobs[jobId].apiKeyName === apiKeyName) {
+      counts[activeJobs[jobId].status]++;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Whether a queued job can run now without going over its key's
+ * maxConcurrentJobs. A paused job already counts as running, so it can
+ * always continue. Jobs queued before limits existed are never held back.
+ * @param {string} jobId
+ * @param {object} activeJobs - From loadActiveJobs.
+ * @param {object[]|null} apiKeys - From loadApiKeys, or null if they
+ *   couldn't be loaded (misconfigured keys shouldn't stall the queue).
+ * @returns {boolean}
+ */
+function canStartJob(jobId, activeJobs, apiKeys) {
+  var job = activeJobs[jobId];
+  if (!job || job.status === 'running' || !apiKeys) {
+    return true;
+  }
+  var apiKey = apiKeys.find(entry => entry.name === job.apiKeyName);
+  var limit = getApiKeyLimits(apiKey).maxConcurrentJobs;
+  return !limit || countActiveJobs(activeJobs, job.apiKeyName).running < limit;
+}
+
+/**
+ * @param {string} apiKeyName
+ * @returns {number} Files copied today (UTC) by the key's jobs.
+ */
+function getDailyFileCopies(apiKeyName) {
+  var usage = JSON.parse(PropertiesService.getScriptProperties()
+    .getProperty(CONFIG.DAILY_FILE_COPIES_PROPERTY_NAME) || '{}');
+  var today = new Date().toISOString().slice(0, 10);
+  var entry = usage[apiKeyName];
+  return entry && entry.date === today ? entry.files : 0;
+}
+
+/**
+ * @returns {number} Seconds until the daily file budgets reset (midnight UTC).
+ */
+function getSecondsUntilNextDay() {
+  var now = new Date();
+  var nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((nextDay - now.getTime()) / 1000);
+}
+
+/**
+ * Sets up a copy's share of its key's dailyFileCopies budget for this run.
+ * copyFileTo keeps to it while the copy runs (see checkFileQuota).
+ * @param {string} apiKeyName
+ * @param {object} copyState
+ * @returns {object|null} { reserved, from } (reserved: files taken from
+ *   the budget so far; from: the copy's `filesCreated` when the run
+ *   started), or null if the key has no daily budget.
+ */
+function getFileQuota(apiKeyName, copyState) {
+  var apiKey;
+  try {
+    apiKey = loadApiKeys().find(entry => entry.name === apiKeyName);
+  } catch (e) {
+    return null; // (As in getNextJobFromQueue)
+  }
+  var limit = apiKey && getApiKeyLimits(apiKey).dailyFileCopies;
+  if (!limit) {
+    return null;
+  }
+  return {
+    apiKeyName: apiKeyName,
+    limit: limit,
+    reserved: 0,
+    from: copyState.filesCreated || 0
+  };
+}
+
+/**
+ * Makes sure the copy may create one more file under its key's daily
+ * budget. Once it has used the files it reserved, it reserves the next
+ * CONFIG.DAILY_FILE_COPIES_CHUNK (or what is left), so copies running at
+ * the same time can't go over the budget together.
+ * @param {object} copyState
+ * @throws QUOTA_EXCEEDED if the budget is used up.
+ */
+function checkFileQuota(copyState) {
+  var quota = copyState.fileQuota;
+  if (!quota || copyState.filesCreated - quota.from < quota.reserved) {
+    return;
+  }
+  var granted = reserveFileCopies(quota.apiKeyName, quota.limit, CONFIG.DAILY_FILE_COPIES_CHUNK);
+  if (!granted) {
+    throw createLimitError('dailyFileCopies', getSecondsUntilNextDay(), 
+      'Daily file copy budget of ' + quota.limit + ' files used up for API key "' + quota.apiKeyName + '" while copying.');
+  }
+  quota.reserved += granted;
+}
+
+/**
+ * Takes up to `count` files from a key's budget for today, adding them to
+ * its count at once.
+ * @param {string} apiKeyName
+ * @param {number} limit - The key's dailyFileCopies.
+ * @param {number} count
+ * @returns {number} The files taken (0 if the budget is used up).
+ */
+function reserveFileCopies(apiKeyName, limit, count) {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    var properties = PropertiesService.getScriptProperties();
+    var usage = JSON.parse(properties.getProperty(CONFIG.DAILY_FILE_COPIES_PROPERTY_NAME) || '{}');
+    var today = new Date().toISOString().slice(0, 10);
+    var entry = usage[apiKeyName] && usage[apiKeyName].date === today ? usage[apiKeyName] : { date: today, files: 0 };
+    var granted = Math.max(0, Math.min(count, limit - entry.files));
+    if (granted) {
+      entry.files += granted;
+      usage[apiKeyName] = entry;
+      properties.setProperty(CONFIG.DAILY_FILE_COPIES_PROPERTY_NAME, JSON.stringify(usage));
+    }
+    return granted;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Brings its key's daily count up to date with the files a copy has
+ * created (at a checkpoint, or when the job ends): files it reserved but
+ * didn't use are given back, and a copy without a budget adds what it
+ * created since the last time.
+ * @param {string} apiKeyName
+ * @param {object} copyState
+ */
+function settleFileCopies(apiKeyName, copyState) {
+  var quota = copyState.fileQuota;
+  var uncounted = takeUncountedFileCopies(copyState);
+  if (!quota) {
+    recordFileCopies(apiKeyName, uncounted);
+    return;
+  }
+  recordFileCopies(apiKeyName, copyState.filesCreated - quota.from - quota.reserved);
+  quota.from = copyState.filesCreated;
+  quota.reserved = 0;
+}
+
+/**
+ * Takes the files a copy has created since they were last added to its
+ * key's daily count (at a checkpoint, or when the job ended).
+ * @param {object} copyState
+ * @returns {number}
+ */
+function takeUncountedFileCopies(copyState) {
+  var count = (copyState.filesCreated || 0) - (copyState.filesCounted || 0);
+  copyState.filesCounted = copyState.filesCreated || 0;
+  return count;
+}
+
+/**
+ * Adds a job's copied files to its key's count for today.
+ * @param {string} apiKeyName
+ * @param {number} fileCount - Negative to give back reserved files.
+ */
+function recordFileCopies(apiKeyName, fileCount) {
+  if (!apiKeyName || !fileCount) {
+    return;
+  }
+  var lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+    var properties = PropertiesService.getScriptProperties();
+    var usage = JSON.parse(properties.getProperty(CONFIG.DAILY_FILE_COPIES_PROPERTY_NAME) || '{}');
+    var today = new Date().toISOString().slice(0, 10);
+    var entry = usage[apiKeyName] && usage[apiKeyName].date === today ? usage[apiKeyName] : { date: today, files: 0 };
+    entry.files = Math.max(0, entry.files + fileCount);
+    usage[apiKeyName] = entry;
+    properties.setProperty(CONFIG.DAILY_FILE_COPIES_PROPERTY_NAME, JSON.stringify(usage));
+  } catch (e) {
+    console.error('Could not record file copies for API key "' + apiKeyName + '": ' + e.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+
+// --- BACKGROUND JOB PROCESSING (ASYNC MODE) ---
+
+/**
+ * Adds a job ID to the persistent queue (using PropertiesService).
+ * This uses LockService to prevent race conditions.
+ * @param {string|string[]} jobId - The new job ID (or a batch's job IDs) to add.
+ */
+function addJobToQueue(jobId) {
+  var lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000); // Wait up to 30s for lock
+    
+    var properties = PropertiesService.getScriptProperties();
+    var queueJson = properties.getProperty(CONFIG.JOB_QUEUE_PROPERTY_NAME);
+    var queue = queueJson ? JSON.parse(queueJson) : [];
+    
+    queue = queue.concat(jobId);
+    
+    properties.setProperty(CONFIG.JOB_QUEUE_PROPERTY_NAME, JSON.stringify(queue));
+    
+  } catch (e) {
+    console.error('Could not get lock to add job to queue: ' + e.message);
+    throw createApiError('QUEUE_UNAVAILABLE', 'Failed to queue job, could not acquire lock.');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Gets the next job ID from the queue: the oldest of the highest-priority
+ * jobs (see CONFIG.JOB_PRIORITIES).
+ * This is "atomic" (pops the job and saves the new queue)
+ * Jobs whose API key is at its maxConcurrentJobs limit wait their turn;
+ * the job taken is marked as running for that limit.
+ * @returns {string|null} The next job ID, or null if no job can start.
+ */
+function getNextJobFromQueue() {
+  var lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+    
+    var properties = PropertiesService.getScriptProperties();
+    var queueJson = properties.getProperty(CONFIG.JOB_QUEUE_PROPERTY_NAME);
+    
+    if (!queueJson) {
+      return null;
+    }
+    
+    var queue = JSON.parse(queueJson);
+    if (queue.length === 0) {
+      return null;
+    }
+    
+    // Get next job (highest priority, then FIFO - First In, First Out)
+    var activeJobs = loadActiveJobs(properties, queue);
+    var apiKeys = null;
+    try {
+      apiKeys = loadApiKeys();
+    } catch (e) {
+      console.error('Could not load API keys to check job limits: ' + e.message);
+    }
+    var index = -1;
+    queue.forEach((id, i) => {
+      if ((index === -1 || getJobPriorityRank(activeJobs[id]) > getJobPriorityRank(activeJobs[queue[index]])) && 
+          canStartJob(id, activeJobs, apiKeys)) {
+        index = i;
+      }
+    });
+    if (index === -1) {
+      return null;
+    }
+    var jobId = queue.splice(index, 1)[0];
+    
+    properties.setProperty(CONFIG.JOB_QUEUE_PROPERTY_NAME, JSON.stringify(queue));
+    if (activeJobs[jobId]) {
+      activeJobs[jobId].status = 'running';
+      activeJobs[jobId].updatedAt = new Date().getTime();
+      properties.setProperty(CONFIG.ACTIVE_JOBS_PROPERTY_NAME, JSON.stringify(activeJobs));
+    }
+    
+    return jobId;
+    
+  } catch (e) {
+    console.error('Could not get lock to read job queue: ' + e.message);
+    return null;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * @param {object} [activeJob] - The job's entry in the active jobs map.
+ * @returns {number} Its rank in CONFIG.JOB_PRIORITIES (jobs queued before
+ *   priorities existed are 'normal').
+ */
+function getJobPriorityRank(activeJob) {
+  var rank = CONFIG.JOB_PRIORITIES[activeJob && activeJob.priority];
+  return rank === undefined ? CONFIG.JOB_PRIORITIES.normal : rank;
+}
+
+/**
+ * Removes a job ID from the queue, if it is still waiting there.
+ * @param {string} jobId
+ * @returns {boolean} True if the job was in the queue and was removed.
+ */
+function removeJobFromQueue(jobId) {
+  var lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+    
+    var properties = PropertiesService.getScriptProperties();
+    var queueJson = properties.getProperty(CONFIG.JOB_QUEUE_PROPERTY_NAME);
+    var queue = queueJson ? JSON.parse(queueJson) : [];
+    
+    var index = queue.indexOf(jobId);
+    if (index === -1) {
+      return false;
+    }
+    queue.splice(index, 1);
+    
+    properties.setProperty(CONFIG.JOB_QUEUE_PROPERTY_NAME, JSON.stringify(queue));
+    return true;
+    
+  } catch (e) {
+    console.error('Could not get lock to remove job from queue: ' + e.message);
+    throw createApiError('QUEUE_UNAVAILABLE', 'Failed to update job queue, could not acquire lock.');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * This is the function run by the 1-minute trigger(s).
+ * It takes jobs from the queue, highest priority first, and works on them
+ * one after another until the time budget runs out. An unfinished job is
+ * checkpointed and put back on the queue, so a later run picks up where
+ * this one stopped. With several triggers (CONFIG.QUEUE_WORKERS), each
+ * job is taken off the queue under the script lock, so only one run ever
+ * works on it at a time.
+ */
+function processJobQueue() {
+  var deadline = new Date().getTime() + CONFIG.JOB_TIME_BUDGET_MS;
+  retryPendingCallbacks(new Date().getTime() + CONFIG.CALLBACK_RETRY_BUDGET_MS);
+  queueDueSchedules();
+
+  var jobsStarted = 0;
+  while (deadline - new Date().getTime() >= CONFIG.JOB_MIN_START_MS) {
+    var jobId = getNextJobFromQueue();
+    if (!jobId) {
+      break;
+    }
+    jobsStarted++;
+    if (!processJob(jobId, deadline)) {
+      break; // Paused: this run's time budget is used up
+    }
+  }
+
+  if (!jobsStarted) {
+    // Logger.log('Job queue is empty. Sleeping.');
+    purgeExpiredJobRecords();
+  }
+}
+
+/**
+ * Works on one job (just taken off the queue) until it finishes or the
+ * deadline passes.
+ * @param {string} jobId
+ * @param {number} deadline - Time (ms) by which to checkpoint.
+ * @returns {boolean} False if the job paused at a checkpoint.
+ */
+function processJob(jobId, deadline) {
+  var record = loadJobRecord(jobId);
+  if (!record) {
+    console.error('Job ' + jobId + ' found in queue but its job record is missing. Discarding.');
+    releaseJobSlot(jobId);
+    var batchId = findBatchIdForJob(jobId);
+    if (batchId) {
+      // The batch still has to finish (and send its callback) without it.
+      completeBatchJob({ jobId: jobId, request: { batchId: batchId } });
+    }
+    return true;
+  }
+  
+  var jobData = record.request;
+  var finished = true;
+  
+  try {
+    // --- Start the job, or resume it from its last checkpoint ---
+    var copyState = record.state;
+    if (copyState) {
+      Logger.log('Found job ' + jobId + '. Resuming from checkpoint (Async).');
+    } else {
+      Logger.log('Found job ' + jobId + '. Starting processing (Async).');
+      copyState = startCopyJob(
+        jobData.sourceFolderId,
+        jobData.destinationFolderId,
+        jobData.newFolderName,
+        jobData.saveJsonOutput,
+        jobData.options
+      );
+    }
+
+    copyState.jobId = jobId;
+    copyState.deadline = deadline;
+    copyState.nextCancelCheck = 0;
+    if (!copyState.operation) {
+      copyState.fileQuota = getFileQuota(jobData.apiKeyName, copyState);
+    }
+
+    record.status = 'running';
+    record.startedAt = record.startedAt || new Date().toISOString();
+    record.runs++;
+    record.state = copyState;
+    record.progress = getCopyProgress(copyState);
+    saveJobRecord(record);
+
+    finished = continueCopyJob(copyState);
+
+    if (!finished) {
+      // Out of time: save progress and hand the job to the next trigger run.
+      record.status = 'paused';
+      record.progress = getCopyProgress(copyState);
+      settleFileCopies(jobData.apiKeyName, copyState);
+      saveJobRecord(record);
+      addJobToQueue(jobId);
+      Logger.log('Job ' + jobId + ' paused at checkpoint (' + 
+        record.progress.filesCopied + ' files done). Will resume on next run.');
+      return false;
+    }
+
+    var resultData = JSON.parse(finishCopyJob(copyState));
+    // ---
+    record.result = resultData;
+    record.rollback = resultData.rollback || null;
+
+    if (copyState.cancelled) {
+      Logger.log('Job ' + jobId + ' was cancelled.');
+      var cancelPayload = buildErrorResponse(createApiError('JOB_CANCELLED', 'Job was cancelled.', { jobId: jobId }));
+      record.status = 'cancelled';
+      record.error = cancelPayload.error;
+      record.errorCode = cancelPayload.code;
+      sendJobCallback(record, Object.assign(cancelPayload, { jobId: jobId, data: resultData }));
+      return true;
+    }
+    
+    Logger.log('Job ' + jobId + ' finished with status ' + resultData.status + '.');
+    record.status = resultData.success ? 'succeeded' : 'failed';
+    
+    // Send the result to the callback URL
+    var responsePayload = buildResultResponse(resultData, copyState.operation ? 'OPERATION_FAILED' : 'COPY_FAILED');
+    if (!resultData.success) {
+      record.error = responsePayload.error;
+      record.errorCode = responsePayload.code;
+    }
+    sendJobCallback(record, Object.assign({ jobId: jobId }, responsePayload));
+
+  } catch (e) {
+    // The copy job failed!
+    finished = true;
+    console.error('Job ' + jobId + ' FAILED: ' + e.message, e.stack);
+    var errorPayload = buildErrorResponse(e, 'COPY_FAILED');
+    errorPayload.error = 'Job failed during execution: ' + e.message;
+    errorPayload.jobId = jobId;
+    record.status = 'failed';
+    record.error = errorPayload.error;
+    record.errorCode = errorPayload.code;
+    
+    // Send the error details to the callback URL
+    sendJobCallback(record, errorPayload);
+    
+  } finally {
+    // Once the job is over (succeeded, failed or cancelled), drop its
+    // checkpoint but keep the record so its status can still be looked up.
+    if (finished) {
+      if (record.state) {
+        record.progress = getCopyProgress(record.state);
+        settleFileCopies(jobData.apiKeyName, record.state);
+        record.createdItems = record.state.createdItems; // For the 'rollback' action
+        record.replacedItems = record.state.replacedItems;
+      }
+      record.state = null;
+      record.finishedAt = new Date().toISOString();
+      try {
+        saveJobRecord(record);
+      } catch (e) {
+        console.error('Could not save final record for job ' + jobId + ': ' + e.message);
+      }
+      clearJobCancelRequest(jobId);
+      releaseJobSlot(jobId);
+      if (jobData.batchId) {
+        completeBatchJob(record);
+      }
+    }
+  }
+  return true;
+}
+
+
+// --- CALLBACK DELIVERY ---
+
+/**
+ * Sends the final data (success or error) to the callback URL.
+ * If delivery fails, it is retried with backoff on later trigger runs
+ * (see retryPendingCallbacks) and ends up as a dead letter if it never
+ * gets through.
+ * @param {string} callbackUrl - The URL to send the POST request to.
+ * @param {object} payload - The JSON object to send.
+ * @returns {boolean} True if the callback was delivered right away.
+ */
+function sendCallback(callbackUrl, payload) {
+  var delivery = {
+    deliveryId: Utilities.getUuid(),
+    jobId: payload.jobId || null,
+    batchId: payload.batchId || null,
+    callbackUrl: callbackUrl,
+    payload: payload,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    lastAttemptAt: null,
+    nextAttemptAt: null,
+    lastError: null
+  };
+
+  if (attemptCallbackDelivery(delivery)) {
+    return true;
+  }
+  try {
+    scheduleCallbackRetry(delivery);
+  } catch (e) {
+    console.error('FATAL: Could not store failed callback for ' + callbackUrl + '. Error: ' + e.message);
+  }
+  return false;
+}
+
+/**
+ * Sends a finished job's callback, if it has a callback URL. Jobs in a
+ * batch have no callback of their own: the batch reports them all at once
+ * (see completeBatchJob).
+ * @param {object} record - The job record.
+ * @param {object} payload
+ */
+function sendJobCallback(record, payload) {
+  if (record.request.batchId || !record.request.callbackUrl) {
+    return; // (Scheduled copies don't need a callback URL.)
+  }
+  if (record.request.scheduleId) {
+    payload.scheduleId = record.request.scheduleId;
+  }
+  sendCallback(record.request.callbackUrl, payload);
+}
+
+/**
+ * POSTs a delivery's payload once. Only a 2xx response counts as delivered.
+ * @param {object} delivery
+ * @returns {boolean} True if delivered.
+ */
+function attemptCallbackDelivery(delivery) {
+  delivery.attempts++;
+  delivery.lastAttemptAt = new Date().toISOString();
+
+  try {
+    var body = JSON.stringify(delivery.payload);
+    var options = {
+      method: 'post',
+      contentType: 'application/json',
+      payload: body,
+      headers: buildCallbackHeaders(body, delivery),
+      muteHttpExceptions: true // Non-2xx responses are handled below
+    };
+    
+    var response = UrlFetchApp.fetch(delivery.callbackUrl, options);
+    var code = response.getResponseCode();
+    if (code >= 200 && code < 300) {
+      Logger.log('Successfully sent callback to: ' + delivery.callbackUrl);
+      return true;
+    }
+    delivery.lastError = 'HTTP ' + code + ': ' + response.getContentText().substring(0, 200);
+    
+  } catch (e) {
+    delivery.lastError = e.message;
+  }
+
+  console.error('Could not send callback to ' + delivery.callbackUrl + 
+    ' (attempt ' + delivery.attempts + '). Error: ' + delivery.lastError);
+  return false;
+}
+
+/**
+ * Builds the callback request headers. If the CALLBACK_SECRET script
+ * property is set, the body is signed with HMAC-SHA256 so the receiver
+ * can verify the callback really came from this script:
+ *   X-Copy-Signature: sha256=<hex HMAC of the raw request body>
+ * @param {string} body - The exact request body.
+ * @param {object} delivery
+ * @returns {object}
+ */
+function buildCallbackHeaders(body, delivery) {
+  var headers = {
+    'X-Copy-Delivery-Id': delivery.deliveryId,
+    'X-Copy-Delivery-Attempt': String(delivery.attempts)
+  };
+  var secret = PropertiesService.getScriptProperties()
+    .getProperty(CONFIG.CALLBACK_SECRET_PROPERTY_NAME);
+  if (secret) {
+    var signature = Utilities.computeHmacSha256Signature(body, secret);
+    headers['X-Copy-Signature'] = 'sha256=' + toHex(signature);
+  }
+  return headers;
+}
+
+/**
+ * Stores a failed delivery for a later retry, or as a dead letter once
+ * CONFIG.CALLBACK_MAX_ATTEMPTS is reached.
+ * @param {object} delivery
+ */
+function scheduleCallbackRetry(delivery) {
+  if (delivery.attempts >= CONFIG.CALLBACK_MAX_ATTEMPTS) {
+    console.error('Giving up on callback ' + delivery.deliveryId + ' to ' + delivery.callbackUrl + 
+      ' after ' + delivery.attempts + ' attempts. Moved to dead letters.');
+    delivery.nextAttemptAt = null;
+    saveCallbackDelivery(delivery, 'deadletter_');
+    return;
+  }
+
+  // Exponential backoff: 1, 2, 4, 8... minutes (with the default base delay)
+  var delayMs = CONFIG.CALLBACK_RETRY_BASE_DELAY_MS * Math.pow(2, delivery.attempts - 1);
+  delivery.nextAttemptAt = new Date(new Date().getTime() + delayMs).toISOString();
+  saveCallbackDelivery(delivery, 'callback_');
+  PropertiesService.getScriptProperties()
+    .setProperty(CONFIG.CALLBACK_RETRY_PENDING_PROPERTY_NAME, 'true');
+}
+
+/**
+ * Retries failed callbacks that are due, until `deadline`. Called at the
+ * start of every processJobQueue run. Overlapping trigger runs are kept
+ * from sending the same callback twice by a short-lived cache flag.
+ * A delivery's file is only removed once it has been delivered or moved
+ * to the dead letters, so a run that dies halfway loses nothing.
+ * @param {number} deadline - Time (ms) after which no retry is started.
+ */
+function retryPendingCallbacks(deadline) {
+  var properties = PropertiesService.getScriptProperties();
+  if (!properties.getProperty(CONFIG.CALLBACK_RETRY_PENDING_PROPERTY_NAME)) {
+    return; // Nothing has failed since the last retry run found nothing.
+  }
+
+  var cache = CacheService.getScriptCache();
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) {
+    return;
+  }
+  try {
+    if (cache.get('callbackRetryRunning')) {
+      return;
+    }
+    cache.put('callbackRetryRunning', 'true', 300);
+  } finally {
+    lock.releaseLock();
+  }
+
+  try {
+    var now = new Date().getTime();
+    var files = getJobStoreFolder().searchFiles('title contains "callback_" and trashed = false');
+    var pendingCount = 0;
+    var retried = 0;
+    
+    while (files.hasNext()) {
+      if (new Date().getTime() >= deadline) {
+        pendingCount++; // (Keep the flag: the rest is left for the next run)
+        break;
+      }
+      var file = files.next();
+      pendingCount++;
+      var delivery = JSON.parse(file.getBlob().getDataAsString());
+      if (new Date(delivery.nextAttemptAt).getTime() > now || retried >= CONFIG.CALLBACK_RETRY_BATCH_SIZE) {
+        continue;
+      }
+      retried++;
+      if (attemptCallbackDelivery(delivery)) {
+        file.setTrashed(true);
+        pendingCount--;
+      } else {
+        scheduleCallbackRetry(delivery); // Updates this file, or saves a dead letter
+        if (!delivery.nextAttemptAt) {
+          file.setTrashed(true);
+          pendingCount--; // Became a dead letter
+        }
+      }
+    }
+
+    if (pendingCount === 0) {
+      properties.deleteProperty(CONFIG.CALLBACK_RETRY_PENDING_PROPERTY_NAME);
+    }
+  } catch (e) {
+    console.error('Error while retrying callbacks: ' + e.message, e.stack);
+  } finally {
+    cache.remove('callbackRetryRunning');
+  }
+}
+
+/**
+ * Lists undeliverable callbacks (without their payloads).
+ * @returns {object} Response data.
+ */
+function listDeadLetters() {
+  var deadLetters = [];
+  var files = getJobStoreFolder().searchFiles('title contains "deadletter_" and trashed = false');
+  while (files.hasNext()) {
+    var delivery = JSON.parse(files.next().getBlob().getDataAsString());
+    deadLetters.push({
+      deliveryId: delivery.deliveryId,
+      jobId: delivery.jobId,
+      batchId: delivery.batchId || null,
+      callbackUrl: delivery.callbackUrl,
+      attempts: delivery.attempts,
+      createdAt: delivery.createdAt,
+      lastAttemptAt: delivery.lastAttemptAt,
+      lastError: delivery.lastError
+    });
+  }
+  return {
+    success: true,
+    deadLetters: deadLetters
+  };
+}
+
+/**
+ * Sends a dead-lettered callback again, optionally to a new URL.
+ * If it fails again it goes back into the normal retry cycle.
+ * @param {string} deliveryId
+ * @param {string} [callbackUrl] - Overrides the original callback URL.
+ * @returns {object} Response data.
+ */
+function replayDeadLetter(deliveryId, callbackUrl) {
+  if (!deliveryId) {
+    throw createApiError('INVALID_REQUEST', 'Missing required parameter: deliveryId.', { field: 'deliveryId' });
+  }
+  var file = getCallbackDeliveryFile(deliveryId, 'deadletter_');
+  if (!file) {
+    throw createApiError('DEAD_LETTER_NOT_FOUND', 'Dead letter not found: ' + deliveryId, { deliveryId: deliveryId });
+  }
+
+  var delivery = JSON.parse(file.getBlob().getDataAsString());
+  delivery.attempts = 0;
+  if (callbackUrl) {
+    delivery.callbackUrl = callbackUrl;
+  }
+
+  var delivered = attemptCallbackDelivery(delivery);
+  if (!delivered) {
+    scheduleCallbackRetry(delivery); // Back to a pending 'callback_' file
+  }
+  file.setTrashed(true);
+  return {
+    success: true,
+    deliveryId: deliveryId,
+    delivered: delivered,
+    message: delivered
+      ? 'Callback delivered.'
+      : 'Callback failed again (' + delivery.lastError + '). It will be retried.'
+  };
+}
+
+/**
+ * Saves a callback delivery in the job store.
+ * @param {object} delivery
+ * @param {string} prefix - 'callback_' (pending retry) or 'deadletter_'.
+ */
+function saveCallbackDelivery(delivery, prefix) {
+  var content = JSON.stringify(delivery);
+  var file = getCallbackDeliveryFile(delivery.deliveryId, prefix);
+  if (file) {
+    file.setContent(content);
+  } else {
+    getJobStoreFolder().createFile(prefix + delivery.deliveryId + '.json', content, 'application/json');
+  }
+}
+
+/**
+ * @param {string} deliveryId
+ * @param {string} prefix - 'callback_' or 'deadletter_'.
+ * @returns {GoogleAppsScript.Drive.File|null}
+ */
+function getCallbackDeliveryFile(deliveryId, prefix) {
+  if (!/^[a-zA-Z0-9-]+$/.test(deliveryId)) {
+    return null;
+  }
+  return findJobStoreFile(prefix + deliveryId + '.json');
+}
+
+
+// --- JOB STATUS & CANCELLATION ---
+
+/**
+ * Looks up an async job.
+ * @param {string} jobId
+ * @param {object} apiKey The request's key.
+ * @returns {object} Response data with the job's status, progress and
+ *   (once finished) the final report.
+ */
+function getJobStatus(jobId, apiKey) {
+  var record = getJobRecordOrThrow(jobId, apiKey);
+  return {
+    success: true,
+    job: {
+      jobId: record.jobId,
+      status: record.status, // queued | running | paused | succeeded | failed | cancelled
+      priority: record.request.priority || 'normal',
+      cancelRequested: record.status === 'running' && isJobCancelRequested(jobId),
+      createdAt: record.createdAt,
+      startedAt: record.startedAt,
+      updatedAt: record.updatedAt,
+      finishedAt: record.finishedAt,
+      runs: record.runs,
+      progress: record.progress,
+      result: record.result,
+      rollback: record.rollback || null,
+      error: record.error,
+      errorCode: record.errorCode || null
+    }
+  };
+}
+
+/**
+ * Cancels an async job. A job waiting in the queue (not started yet, or
+ * paused between runs) is removed and cancelled straight away. A job that
+ * is running right now is flagged and stops at its next checkpoint.
+ * @param {string} jobId
+ * @param {object} apiKey The request's key.
+ * @returns {object} Response data.
+ */
+function cancelJob(jobId, apiKey) {
+  var record = getJobRecordOrThrow(jobId, apiKey);
+  if (['succeeded', 'failed', 'cancelled'].indexOf(record.status) !== -1) {
+    throw createApiError('JOB_ALREADY_FINISHED', 'Job ' + jobId + ' has already finished with status: ' + record.status + '.', 
+      { jobId: jobId, status: record.status });
+  }
+
+  if (removeJobFromQueue(jobId)) {
+    releaseJobSlot(jobId);
+    if (record.state) {
+      record.progress = getCopyProgress(record.state);
+      record.createdItems = record.state.createdItems;
+      record.replacedItems = record.state.replacedItems;
+      record.rollback = queueCancelledCopyRollback(record, apiKey);
+    }
+    var cancelPayload = buildErrorResponse(createApiError('JOB_CANCELLED', 'Job was cancelled.', { jobId: jobId }));
+    record.status = 'cancelled';
+    record.error = cancelPayload.error;
+    record.errorCode = cancelPayload.code;
+    record.state = null;
+    record.finishedAt = new Date().toISOString();
+    saveJobRecord(record);
+    sendJobCallback(record, Object.assign(cancelPayload, { jobId: jobId, rollback: record.rollback }));
+    if (record.request.batchId) {
+      completeBatchJob(record);
+    }
+    return {
+      success: true,
+      jobId: jobId,
+      status: 'cancelled',
+      rollback: record.rollback,
+      message: 'Job removed from the queue and cancelled.'
+    };
+  }
+
+  requestJobCancel(jobId);
+  return {
+    success: true,
+    jobId: jobId,
+    status: 'running',
+    message: 'Cancellation requested. The job will stop at its next checkpoint.'
+  };
+}
+
+/**
+ * Loads a job record, failing with a clear message if it doesn't exist.
+ * Other keys' jobs look like missing ones, unless the key is an admin key.
+ * @param {string} jobId
+ * @param {object} apiKey The request's key.
+ * @returns {object}
+ */
+function getJobRecordOrThrow(jobId, apiKey) {
+  if (!jobId) {
+    throw createApiError('INVALID_REQUEST', 'Missing required parameter: jobId.', { field: 'jobId' });
+  }
+  var record = loadJobRecord(jobId);
+  if (record && !apiKey.admin && record.request.apiKeyName !== apiKey.name) {
+    record = null;
+  }
+  if (!record) {
+    throw createApiError('JOB_NOT_FOUND', 'Job not found: ' + jobId + '. It may never have existed or its record has expired.', 
+      { jobId: jobId });
+  }
+  return record;
+}
+
+/**
+ * Flags a running job for cancellation. The flag lives in a script
+ * property, separate from the job record, so it can't be overwritten by
+ * the trigger run that is saving the job's checkpoint.
+ * @param {string} jobId
+ */
+function requestJobCancel(jobId) {
+  PropertiesService.getScriptProperties()
+    .setProperty(CONFIG.JOB_CANCEL_PROPERTY_PREFIX + jobId, new Date().toISOString());
+}
+
+/**
+ * @param {string} jobId
+ * @returns {boolean} True if cancellation was requested for the job.
+ */
+function isJobCancelRequested(jobId) {
+  return !!PropertiesService.getScriptProperties()
+    .getProperty(CONFIG.JOB_CANCEL_PROPERTY_PREFIX + jobId);
+}
+
+/**
+ * @param {string} jobId
+ */
+function clearJobCancelRequest(jobId) {
+  PropertiesService.getScriptProperties()
+    .deleteProperty(CONFIG.JOB_CANCEL_PROPERTY_PREFIX + jobId);
+}
+
+/**
+ * Summarises how far a copy has got.
+ * @param {object} copyState
+ * @returns {object}
+ */
+function getCopyProgress(copyState) {
+  if (copyState.operation === 'rollback') {
+    return getRollbackProgress(copyState);
+  }
+  if (copyState.operation) {
+    return getFolderOperationProgress(copyState);
+  }
+  var fileResults = Object.keys(copyState.copiedFiles).map(id => copyState.copiedFiles[id]);
+  return {
+    phase: copyState.phase,
+    foldersCreated: Object.keys(copyState.folderMap).filter(id => copyState.folderMap[id]).length,
+    filesCopied: fileResults.filter(newId => newId).length,
+    filesFailed: fileResults.filter(newId => newId === false).length,
+    skipped: copyState.skipped.length
+  };
+}
+
+
+// --- BATCH JOBS ---
+
+/**
+ * Queues a batch: several copies (each with its own source, destination,
+ * name and options) sent as one request. Top-level copy parameters are
+ * defaults for every entry in `jobs`. Each copy runs as its own async job,
+ * and one callback reports them all once the last one has finished.
+ * The whole batch is rejected if any entry is invalid.
+ * @param {object} params The parsed request parameters.
+ * @param {object} apiKey
+ * @returns {object} Response data.
+ */
+function queueBatch(params, apiKey) {
+  var jobParams = validateBatchRequest(params, apiKey);
+  var batchId = Utilities.getUuid();
+  var jobIds = [];
+
+  try {
+    jobParams.forEach((entry, index) => {
+      var jobId = Utilities.getUuid();
+      reserveJobSlot(apiKey, jobId, false, entry.priority);
+      jobIds.push(jobId);
+      saveJobRecord(createJobRecord(jobId, Object.assign(getJobRequest(entry, apiKey), {
+        callbackUrl: null, // Reported through the batch's callback
+        batchId: batchId,
+        batchIndex: index
+      })));
+    });
+    saveBatchRecord(createBatchRecord(batchId, params.callbackUrl, apiKey.name, jobIds));
+    addJobToQueue(jobIds);
+  } catch (e) {
+    // Don't leave records behind for jobs that were never queued.
+    jobIds.forEach(jobId => {
+      releaseJobSlot(jobId);
+      try {
+        deleteJobRecord(jobId);
+      } catch (cleanupError) {
+        console.error('Could not remove the record of unqueued job ' + jobId + ': ' + cleanupError.message);
+      }
+    });
+    try {
+      deleteBatchRecord(batchId);
+    } catch (cleanupError) {
+      console.error('Could not remove the record of unqueued batch ' + batchId + ': ' + cleanupError.message);
+    }
+    throw e;
+  }
+
+  return {
+    success: true,
+    batchId: batchId,
+    jobIds: jobIds,
+    message: 'Batch of ' + jobIds.length + ' jobs accepted and queued for processing.'
+  };
+}
+
+/**
+ * Validates a batch request and each of its copies. The batch counts as
+ * a single request against the key's rate limit.
+ * @param {object} params
+ * @param {object} apiKey
+ * @returns {object[]} The validated parameters of each copy.
+ */
+function validateBatchRequest(params, apiKey) {
+  checkRequestRate(apiKey);
+
+  var jobs = params.jobs;
+  if (!Array.isArray(jobs) || !jobs.length || jobs.length > CONFIG.BATCH_MAX_JOBS) {
+    throw createApiError('INVALID_REQUEST', 'Invalid jobs. Expected an array of 1 to ' + CONFIG.BATCH_MAX_JOBS + ' copy requests.', 
+      { field: 'jobs' });
+  }
+  if (!params.callbackUrl) {
+    throw createApiError('INVALID_REQUEST', 'Missing required parameter for batches: callbackUrl.', { field: 'callbackUrl' });
+  }
+  if ([params].concat(jobs).some(job => job && (job.runAt !== undefined || job.recurrence !== undefined))) {
+    throw createApiError('INVALID_REQUEST', 'Batches cannot be scheduled. Schedule each copy on its own.', { field: 'jobs' });
+  }
+
+  var defaults = Object.assign({}, params);
+  ['apiKey', 'action', 'jobs', 'callbackUrl'].forEach(key => delete defaults[key]);
+
+  return jobs.map((job, index) => {
+    var prefix = 'jobs[' + index + ']';
+    if (!job || typeof job !== 'object' || Array.isArray(job)) {
+      throw createApiError('INVALID_REQUEST', 'Invalid ' + prefix + '. Expected an object.', { field: prefix, jobIndex: index });
+    }
+    // (callbackUrl marks every copy as async for the key's allowedModes.)
+    var jobParams = Object.assign({}, defaults, job, { callbackUrl: params.callbackUrl });
+    try {
+      return validateCopyParams(jobParams, apiKey);
+    } catch (e) {
+      e.message = prefix + ': ' + e.message;
+      e.details = Object.assign({}, e.details, { jobIndex: index });
+      if (e.details.field) {
+        e.details.field = prefix + '.' + e.details.field;
+      }
+      throw e;
+    }
+  });
+}
+
+/**
+ * Marks a batch's job as finished. When it's the last one, the batch's
+ * callback is sent with every job's result.
+ * @param {object} record - The finished job's (saved) record.
+ */
+function completeBatchJob(record) {
+  var batchId = record.request.batchId;
+  var batch;
+  var lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+    batch = loadBatchRecord(batchId);
+    if (!batch || batch.finishedAt) {
+      return;
+    }
+    if (batch.finishedJobIds.indexOf(record.jobId) === -1) {
+      batch.finishedJobIds.push(record.jobId);
+    }
+    if (batch.finishedJobIds.length === batch.jobIds.length) {
+      batch.finishedAt = new Date().toISOString();
+    }
+    saveBatchRecord(batch);
+  } catch (e) {
+    console.error('Could not update batch ' + batchId + ' for job ' + record.jobId + ': ' + e.message);
+    return;
+  } finally {
+    lock.releaseLock();
+  }
+
+  if (batch.finishedAt) {
+    Logger.log('Batch ' + batchId + ' completed.');
+    var result = getBatchResult(batch);
+    sendCallback(batch.callbackUrl, Object.assign(buildBatchResultResponse(result), {
+      batchId: batchId,
+      status: result.status,
+      summary: result.summary,
+      jobs: result.jobs
+    }));
+  }
+}
+
+/**
+ * Builds the envelope of a finished batch's callback, like
+ * buildResultResponse does for a job: a complete batch succeeds, a partial
+ * one is PARTIAL_FAILURE and a failed one COPY_FAILED (either retryable if
+ * any of its failed jobs is).
+ * @param {object} result - From getBatchResult.
+ * @returns {object}
+ */
+function buildBatchResultResponse(result) {
+  if (result.status === 'complete') {
+    return { success: true, httpStatus: 200 };
+  }
+  var code = result.status === 'failed' ? 'COPY_FAILED' : 'PARTIAL_FAILURE';
+  var failed = result.jobs.filter(job => !job.success || (job.data && job.data.status !== 'complete'));
+  return {
+    success: false,
+    httpStatus: ERROR_CODES[code].httpStatus,
+    code: code,
+    error: result.status === 'failed' ? 'No job in the batch succeeded. See jobs.' : 
+      'The batch finished, but ' + failed.length + ' of its ' + result.jobs.length + ' job(s) had problems. See jobs.',
+    retryable: failed.some(job => job.retryable || !!(job.data && (job.data.errors || []).some(error => error.retryable))),
+    details: { status: result.status }
+  };
+}
+
+/**
+ * Collects the results of a batch's jobs.
+ * @param {object} batch - The batch record.
+ * @returns {{status: string, summary: object, jobs: object[]}} status is
+ *   'complete' (every copy complete), 'failed' (none succeeded), 'partial'
+ *   (anything else) or 'running' (not all jobs have finished).
+ */
+function getBatchResult(batch) {
+  var jobs = batch.jobIds.map((jobId, index) => {
+    var record = loadJobRecord(jobId);
+    if (!record) {
+      return { index: index, jobId: jobId, status: 'failed', success: false, code: 'JOB_NOT_FOUND', error: 'Job record not found.', 
+        retryable: false, data: null };
+    }
+    var entry = { index: index, jobId: jobId, status: record.status, success: record.status === 'succeeded' };
+    if (record.errorCode) {
+      entry.code = record.errorCode;
+      entry.error = record.error;
+      entry.retryable = ERROR_CODES[record.errorCode].retryable;
+    }
+    if (!batch.finishedAt) {
+      entry.progress = record.progress;
+    }
+    entry.data = record.result;
+    return entry;
+  });
+
+  var count = status => jobs.filter(job => job.status === status).length;
+  var summary = {
+    total: jobs.length,
+    queued: count('queued'),
+    running: count('running'),
+    paused: count('paused'),
+    succeeded: count('succeeded'),
+    failed: count('failed'),
+    cancelled: count('cancelled'),
+    filesCreated: jobs.reduce((sum, job) => sum + (job.data ? job.data.summary.filesCreated || 0 : 0), 0)
+  };
+
+  var status = 'partial';
+  if (!batch.finishedAt) {
+    status = 'running';
+  } else if (jobs.every(job => job.data && job.data.status === 'complete' && job.status === 'succeeded')) {
+    status = 'complete';
+  } else if (!summary.succeeded) {
+    status = 'failed';
+  }
+  return { status: status, summary: summary, jobs: jobs };
+}
+
+/**
+ * Looks up a batch and the status of each of its jobs.
+ * @param {string} batchId
+ * @param {object} apiKey The request's key.
+ * @returns {object} Response data.
+ */
+function getBatchStatus(batchId, apiKey) {
+  var batch = getBatchRecordOrThrow(batchId, apiKey);
+  var result = getBatchResult(batch);
+  return {
+    success: true,
+    batch: {
+      batchId: batch.batchId,
+      status: result.status,
+      createdAt: batch.createdAt,
+      finishedAt: batch.finishedAt,
+      summary: result.summary,
+      jobs: result.jobs
+    }
+  };
+}
+
+/**
+ * Cancels every unfinished job in a batch (see cancelJob).
+ * @param {string} batchId
+ * @param {object} apiKey The request's key.
+ * @returns {object} Response data.
+ */
+function cancelBatch(batchId, apiKey) {
+  var batch = getBatchRecordOrThrow(batchId, apiKey);
+  if (batch.finishedAt) {
+    throw createApiError('JOB_ALREADY_FINISHED', 'Batch ' + batchId + ' has already finished.', { batchId: batchId });
+  }
+  var jobs = batch.jobIds
+    .filter(jobId => batch.finishedJobIds.indexOf(jobId) === -1)
+    .map(jobId => {
+      try {
+        return { jobId: jobId, status: cancelJob(jobId, apiKey).status };
+      } catch (e) {
+        if (e.code !== 'JOB_ALREADY_FINISHED') {
+          throw e;
+        }
+        return { jobId: jobId, status: e.details.status };
+      }
+    });
+  return {
+    success: true,
+    batchId: batchId,
+    jobs: jobs,
+    message: 'Queued jobs were cancelled. Running jobs will stop at their next checkpoint.'
+  };
+}
+
+/**
+ * Loads a batch record, failing like getJobRecordOrThrow if it doesn't
+ * exist or belongs to another key.
+ * @param {string} batchId
+ * @param {object} apiKey The request's key.
+ * @returns {object}
+ */
+function getBatchRecordOrThrow(batchId, apiKey) {
+  var batch = loadBatchRecord(batchId);
+  if (batch && !apiKey.admin && batch.apiKeyName !== apiKey.name) {
+    batch = null;
+  }
+  if (!batch) {
+    throw createApiError('BATCH_NOT_FOUND', 'Batch not found: ' + batchId + '. It may never have existed or its record has expired.', 
+      { batchId: batchId });
+  }
+  return batch;
+}
+
+
+// --- SCHEDULES ---
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Stores a copy request to run later ('runAt') and/or on a recurrence.
+ * processJobQueue queues it as a normal async job whenever it is due.
+ * @param {object} params The parsed request parameters.
+ * @param {object} apiKey
+ * @returns {object} Response data.
+ */
+function createSchedule(params, apiKey) {
+  validateRequest(params, apiKey);
+  validateSchedule(params);
+
+  var request = Object.assign({}, params);
+  ['apiKey', 'action', 'runAt', 'recurrence'].forEach(key => delete request[key]);
+
+  var timeZone = params.timeZone || Session.getScriptTimeZone();
+  var runAt = params.runAt ? new Date(params.runAt) : null;
+  var nextRunAt = runAt;
+  if (params.recurrence) {
+    // (With a recurrence, runAt is when it starts.)
+    var after = new Date(Math.max(runAt ? runAt.getTime() - 1 : 0, new Date().getTime()));
+    nextRunAt = getNextOccurrence(params.recurrence, timeZone, after);
+    if (!nextRunAt) {
+      throw createApiError('INVALID_REQUEST', 'The recurrence has no occurrences before its endAt.', { field: 'recurrence.endAt' });
+    }
+  }
+
+  var now = new Date().toISOString();
+  var schedule = {
+    scheduleId: Utilities.getUuid(),
+    apiKeyName: apiKey.name,
+    request: request,
+    runAt: runAt ? runAt.toISOString() : null,
+    recurrence: params.recurrence || null,
+    timeZone: timeZone,
+    status: 'active', // active | completed
+    nextRunAt: nextRunAt.toISOString(),
+    lastRunAt: null,
+    lastJobId: null,
+    lastError: null,
+    runs: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+  saveScheduleRecord(schedule);
+  updateScheduleIndex(schedule.scheduleId, nextRunAt.getTime());
+
+  return {
+    success: true,
+    scheduleId: schedule.scheduleId,
+    nextRunAt: schedule.nextRunAt,
+    message: 'Schedule created. The copy will be queued at ' + schedule.nextRunAt + '.'
+  };
+}
+
+/**
+ * Validates 'runAt' and 'recurrence':
+ * { frequency: 'daily' | 'weekly' | 'monthly', time: 'HH:mm',
+ *   daysOfWeek: ['monday', ...] (weekly), dayOfMonth: 1-31 (monthly),
+ *   endAt: ISO date (optional) }
+ * @param {object} params
+ */
+function validateSchedule(params) {
+  if (params.runAt !== undefined) {
+    var runAt = new Date(params.runAt);
+    if (typeof params.runAt !== 'string' || isNaN(runAt.getTime())) {
+      throw createApiError('INVALID_REQUEST', 'Invalid runAt. Expected an ISO date, e.g. "2025-12-01T09:00:00Z".', { field: 'runAt' });
+    }
+    if (!params.recurrence && runAt.getTime() <= new Date().getTime()) {
+      throw createApiError('INVALID_REQUEST', 'Invalid runAt. It must be in the future.', { field: 'runAt' });
+    }
+  }
+
+  var recurrence = params.recurrence;
+  if (recurrence === undefined) {
+    return;
+  }
+  var invalid = (field, expected) => createApiError('INVALID_REQUEST', 'Invalid ' + field + '. Expected ' + expected + '.', { field: field });
+  if (!recurrence || typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    throw invalid('recurrence', 'an object, e.g. { "frequency": "weekly", "daysOfWeek": ["monday"], "time": "08:00" }');
+  }
+  if (['daily', 'weekly', 'monthly'].indexOf(recurrence.frequency) === -1) {
+    throw invalid('recurrence.frequency', "'daily', 'weekly' or 'monthly'");
+  }
+  if (recurrence.time !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(recurrence.time)) {
+    throw invalid('recurrence.time', 'a 24-hour time like "08:00"');
+  }
+  if (recurrence.frequency === 'weekly' && (!Array.isArray(recurrence.daysOfWeek) || !recurrence.daysOfWeek.length || 
+      recurrence.daysOfWeek.some(day => WEEKDAYS.indexOf(day) === -1))) {
+    throw invalid('recurrence.daysOfWeek', 'a list of weekdays, e.g. ["monday", "thursday"]');
+  }
+  if (recurrence.frequency === 'monthly' && !(Number.isInteger(recurrence.dayOfMonth) && 
+      recurrence.dayOfMonth >= 1 && recurrence.dayOfMonth <= 31)) {
+    throw invalid('recurrence.dayOfMonth', 'a day from 1 to 31 (the last day is used in shorter months)');
+  }
+  if (recurrence.endAt !== undefined && (typeof recurrence.endAt !== 'string' || isNaN(new Date(recurrence.endAt).getTime()))) {
+    throw invalid('recurrence.endAt', 'an ISO date');
+  }
+}
+
+/**
+ * Finds a recurrence's first occurrence after a given time.
+ * @param {object} recurrence - See validateSchedule.
+ * @param {string} timeZone - The zone its days and time are in.
+ * @param {Date} after
+ * @returns {Date|null} Null if there is none before recurrence.endAt.
+ */
+function getNextOccurrence(recurrence, timeZone, after) {
+  var time = (recurrence.time || '00:00').split(':').map(Number);
+  var start = Utilities.formatDate(after, timeZone, 'yyyy-MM-dd').split('-').map(Number);
+  // Walk the calendar day by day (in UTC, so there are no DST gaps) from
+  // the local date of `after`. Every rule matches within a year.
+  for (var i = 0; i <= 366; i++) {
+    var day = new Date(Date.UTC(start[0], start[1] - 1, start[2] + i));
+    var matches = recurrence.frequency === 'daily' ||
+      (recurrence.frequency === 'weekly' && recurrence.daysOfWeek.indexOf(WEEKDAYS[day.getUTCDay()]) !== -1) ||
+      (recurrence.frequency === 'monthly' && day.getUTCDate() === Math.min(recurrence.dayOfMonth, 
+        new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate()));
+    if (!matches) {
+      continue;
+    }
+    var occurrence = getZonedTime(day, time[0], time[1], timeZone);
+    if (occurrence.getTime() > after.getTime()) {
+      return recurrence.endAt && occurrence.getTime() > new Date(recurrence.endAt).getTime() ? null : occurrence;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {Date} day - A calendar day (its UTC date is used).
+ * @param {number} hours
+ * @param {number} minutes
+ * @param {string} timeZone
+ * @returns {Date} That wall-clock time on that day in the time zone.
+ */
+function getZonedTime(day, hours, minutes, timeZone) {
+  var wallClock = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+  var offset = getTimeZoneOffsetMs(new Date(wallClock), timeZone);
+  // Check the offset again at the result, in case a DST change lies between.
+  return new Date(wallClock - getTimeZoneOffsetMs(new Date(wallClock - offset), timeZone));
+}
+
+/**
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} The zone's offset from UTC at that moment, in ms.
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+  var offset = Utilities.formatDate(date, timeZone, 'Z'); // e.g. "+0100"
+  var sign = offset.charAt(0) === '-' ? -1 : 1;
+  return sign * (parseInt(offset.substr(1, 2), 10) * 60 + parseInt(offset.substr(3, 2), 10)) * 60000;
+}
+
+/**
+ * Queues a job for every schedule that is due. Called at the start of
+ * every processJobQueue run. Each schedule is moved on to its next run
+ * time under the script lock before its job is queued, so with several
+ * queue workers it is still only queued once. A run that can't be queued
+ * (e.g. a quota was hit) is skipped and noted in the schedule's lastError.
+ */
+function queueDueSchedules() {
+  var properties = PropertiesService.getScriptProperties();
+  var due = [];
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return;
+  }
+  try {
+    var index = JSON.parse(properties.getProperty(CONFIG.SCHEDULES_PROPERTY_NAME) || '{}');
+    var now = new Date();
+    Object.keys(index).filter(id => index[id] <= now.getTime()).forEach(id => {
+      var schedule = loadScheduleRecord(id);
+      if (!schedule) {
+        delete index[id];
+        return;
+      }
+      var scheduledFor = new Date(index[id]);
+      var next = schedule.recurrence ? getNextOccurrence(schedule.recurrence, schedule.timeZone, now) : null;
+      schedule.nextRunAt = next ? next.toISOString() : null;
+      schedule.status = next ? 'active' : 'completed';
+      if (next) {
+        index[id] = next.getTime();
+      } else {
+        delete index[id];
+      }
+      due.push({ schedule: schedule, scheduledFor: scheduledFor });
+    });
+    if (due.length) {
+      properties.setProperty(CONFIG.SCHEDULES_PROPERTY_NAME, JSON.stringify(index));
+    }
+  } catch (e) {
+    console.error('Could not check schedules: ' + e.message, e.stack);
+  } finally {
+    lock.releaseLock();
+  }
+
+  due.forEach(entry => {
+    var schedule = entry.schedule;
+    schedule.lastRunAt = entry.scheduledFor.toISOString();
+    schedule.runs++;
+    try {
+      schedule.lastJobId = queueScheduledJob(schedule, entry.scheduledFor);
+      schedule.lastError = null;
+      Logger.log('Schedule ' + schedule.scheduleId + ' queued job ' + schedule.lastJobId + '.');
+    } catch (e) {
+      console.error('Schedule ' + schedule.scheduleId + ' could not queue its copy: ' + e.message);
+      schedule.lastJobId = null;
+      schedule.lastError = { code: describeError(e).code, error: e.message };
+    }
+    saveDueSchedule(schedule);
+  });
+}
+
+/**
+ * Saves a schedule after queueing its run, unless it was deleted in the
+ * meantime (deleteSchedule trashes the record under the same lock), so a
+ * deleted schedule isn't brought back.
+ * @param {object} schedule
+ */
+function saveDueSchedule(schedule) {
+  var lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+    if (!findJobStoreFile('schedule_' + schedule.scheduleId + '.json')) {
+      Logger.log('Schedule ' + schedule.scheduleId + ' was deleted while its run was being queued.');
+      return;
+    }
+    saveScheduleRecord(schedule);
+  } catch (e) {
+    console.error('Could not save schedule ' + schedule.scheduleId + ': ' + e.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Checks a schedule's request again (its key, folders and scope may have
+ * changed since it was created) and queues it.
+ * @param {object} schedule
+ * @param {Date} scheduledFor - The run time that is due.
+ * @returns {string} The new job's ID.
+ */
+function queueScheduledJob(schedule, scheduledFor) {
+  var apiKey = loadApiKeys().find(entry => entry.name === schedule.apiKeyName);
+  if (!apiKey || apiKey.disabled) {
+    throw createApiError('AUTH_INVALID', 'API key "' + schedule.apiKeyName + '" no longer exists or is disabled.');
+  }
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= new Date().getTime()) {
+    throw createApiError('AUTH_EXPIRED', 'API key "' + apiKey.name + '" expired on ' + apiKey.expiresAt + '.');
+  }
+  // (runAt marks it as a background copy for the key's allowedModes.)
+  var params = validateCopyParams(Object.assign({ timeZone: schedule.timeZone }, schedule.request, 
+    { runAt: scheduledFor.toISOString() }), apiKey);
+
+  var jobRequest = getJobRequest(params, apiKey);
+  jobRequest.scheduleId = schedule.scheduleId;
+  jobRequest.options.scheduledFor = scheduledFor.toISOString(); // The date for {{date}} tokens
+  return queueJob(jobRequest, apiKey);
+}
+
+/**
+ * Lists the key's schedules (every schedule, for an admin key).
+ * @param {object} apiKey
+ * @returns {object} Response data.
+ */
+function listSchedules(apiKey) {
+  var schedules = [];
+  var files = getJobStoreFolder().searchFiles('title contains "schedule_" and trashed = false');
+  while (files.hasNext()) {
+    var schedule = JSON.parse(files.next().getBlob().getDataAsString());
+    if (apiKey.admin || schedule.apiKeyName === apiKey.name) {
+      schedules.push(describeSchedule(schedule));
+    }
+  }
+  schedules.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+  return {
+    success: true,
+    schedules: schedules
+  };
+}
+
+/**
+ * Deletes a schedule. Jobs it has already queued are not affected.
+ * @param {string} scheduleId
+ * @param {object} apiKey
+ * @returns {object} Response data.
+ */
+function deleteSchedule(scheduleId, apiKey) {
+  if (!scheduleId) {
+    throw createApiError('INVALID_REQUEST', 'Missing required parameter: scheduleId.', { field: 'scheduleId' });
+  }
+  var schedule = loadScheduleRecord(scheduleId);
+  if (!schedule || (!apiKey.admin && schedule.apiKeyName !== apiKey.name)) {
+    throw createApiError('SCHEDULE_NOT_FOUND', 'Schedule not found: ' + scheduleId, { scheduleId: scheduleId });
+  }
+  // Under the lock, so queueDueSchedules can't save it back (see saveDueSchedule)
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    var properties = PropertiesService.getScriptProperties();
+    var index = JSON.parse(properties.getProperty(CONFIG.SCHEDULES_PROPERTY_NAME) || '{}');
+    delete index[scheduleId];
+    properties.setProperty(CONFIG.SCHEDULES_PROPERTY_NAME, JSON.stringify(index));
+    var file = findJobStoreFile('schedule_' + scheduleId + '.json');
+    if (file) {
+      file.setTrashed(true);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+  return {
+    success: true,
+    scheduleId: scheduleId,
+    message: 'Schedule deleted.'
+  };
+}
+
+/**
+ * @param {object} schedule
+ * @returns {object} The schedule as shown by listSchedules.
+ */
+function describeSchedule(schedule) {
+  var request = schedule.request;
+  return {
+    scheduleId: schedule.scheduleId,
+    apiKeyName: schedule.apiKeyName,
+    status: schedule.status,
+    runAt: schedule.runAt,
+    recurrence: schedule.recurrence,
+    timeZone: schedule.timeZone,
+    nextRunAt: schedule.nextRunAt,
+    lastRunAt: schedule.lastRunAt,
+    lastJobId: schedule.lastJobId,
+    lastError: schedule.lastError,
+    runs: schedule.runs,
+    createdAt: schedule.createdAt,
+    request: {
+      mode: request.mode || 'copy',
+      sourceFolderId: request.sourceFolderId,
+      destinationFolderId: request.destinationFolderId,
+      targetFolderId: request.targetFolderId,
+      newFolderName: request.newFolderName,
+      callbackUrl: request.callbackUrl
+    }
+  };
+}
+
+/**
+ * Sets (or, with null, removes) a schedule's next run time in the index.
+ * @param {string} scheduleId
+ * @param {number|null} nextRunAt - Time in ms.
+ */
+function updateScheduleIndex(scheduleId, nextRunAt) {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    var properties = PropertiesService.getScriptProperties();
+    var index = JSON.parse(properties.getProperty(CONFIG.SCHEDULES_PROPERTY_NAME) || '{}');
+    if (nextRunAt) {
+      index[scheduleId] = nextRunAt;
+    } else {
+      delete index[scheduleId];
+    }
+    properties.setProperty(CONFIG.SCHEDULES_PROPERTY_NAME, JSON.stringify(index));
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+
+// --- CORE COPY LOGIC (Used by Sync and Async) ---
+
+/**
+ * Copies a folder structure and its contents recursively, in one go.
+ * (Only the rollback of a failed copy can run out of time; the rest of
+ * it is then queued as a rollback job.)
+ * @param {string} sourceFolderId
+ * @param {string} destinationFolderId
+ * @param {string} [newFolderName]
+ * @param {boolean} [saveJsonOutput]
+ * @param {object} [options] - Copy options (see getCopyOptions).
+ * @param {object} [apiKey] - The request's key, to queue that job for
+ *   (and whose daily file budget the copy keeps to).
+ * @returns {string} JSON string containing the copy results.
+ */
+function copyFolderStructure(sourceFolderId, destinationFolderId, newFolderName, saveJsonOutput, options, apiKey) {
+  var copyState = startCopyJob(sourceFolderId, destinationFolderId, newFolderName, saveJsonOutput, options);
+  if (apiKey && !copyState.operation) {
+    copyState.fileQuota = getFileQuota(apiKey.name, copyState);
+  }
+  try {
+    if (!continueCopyJob(copyState)) {
+      queueRemainingRollback(copyState, apiKey);
+    }
+  } finally {
+    if (apiKey) {
+      settleFileCopies(apiKey.name, copyState);
+    }
+  }
+  return finishCopyJob(copyState);
+}
+
+/**
+ * Creates the top-level copy folder and the initial copy state.
+ * The state is plain JSON, so it can be checkpointed between runs.
+ * (Move, archive and trash jobs get an operation state instead; see
+ * startFolderOperation. Rollback jobs: see startRollbackJob.)
+ * @param {string} sourceFolderId
+ * @param {string} destinationFolderId
+ * @param {string} [newFolderName]
+ * @param {boolean} [saveJsonOutput]
+ * @param {object} [options] - Copy options (see getCopyOptions).
+ * @returns {object} The copy state.
+ */
+function startCopyJob(sourceFolderId, destinationFolderId, newFolderName, saveJsonOutput, options) {
+  options = options || {};
+  if (options.operation === 'rollback') {
+    return startRollbackJob(options);
+  }
+  if (isFolderOperation(options)) {
+    return startFolderOperation(sourceFolderId, destinationFolderId, newFolderName, options);
+  }
+  var copyState = {
+    sourceFolderId: sourceFolderId,
+    destinationFolderId: destinationFolderId,
+    saveJsonOutput: saveJsonOutput && !options.dryRun, // A dry run saves nothing
+    options: options,
+    startTime: new Date().toISOString(), // <-- START TIME
+    success: true,
+    errors: [],
+    phase: 'copy', // ('capacity' into a Shared Drive) -> 'copy' -> 'shortcuts' -> ('links' -> 'exports' if rewriteLinks) -> ('orphans' in update mode) -> 'done'
+                   // (-> 'rollback' -> 'done' if it fails and onFailure is 'rollback')
+    timings: {},   // Time spent in each phase (ms), summed over all runs
+    mainFolderId: null,
+    mainFolderName: null,
+    folderStructure: null,
+    folderMap: {},   // Maps source folder IDs to the new folder IDs (null if skipped, false if the folder couldn't be copied)
+    folderPaths: {}, // Maps new folder IDs to their path, e.g. "My Copy/Assets"
+    sourcePaths: {}, // Maps source folder IDs to their path relative to the source root
+    copiedFiles: {}, // Maps source file IDs to the new file IDs (false if the copy failed, null if skipped)
+    convertedFiles: {}, // Maps source file IDs to their converted files' IDs (convert)
+    pendingExports: {}, // Maps IDs of converted files still to be exported (with rewriteLinks) to what to export
+    createdItems: {}, // Maps the IDs of all items this copy created to 'file' or 'folder', in order (for rollback)
+    rollback: null,   // The rollback's progress, once a failed copy is being rolled back
+    replacedItems: {}, // Update mode: maps new file IDs to the IDs of the (trashed) target files they replaced
+    completedFolders: {}, // Source folder IDs whose whole subtree has been copied
+    pendingShortcuts: {}, // Maps source IDs of shortcuts waiting for their target to their source folder IDs
+    skipped: [],     // Files and folders left out by the request's filters
+    unresolvedPlaceholders: {}, // Maps unknown {{placeholders}} to where they were found
+    linksRewritten: {}, // New file IDs whose links have been rewritten (rewriteLinks)
+    linkRewrites: [],   // Files where links were rewritten, with the number of replacements
+    retries: {},     // Maps Drive operations to how often they were retried
+    filesCreated: 0, // Files actually copied (not planned or reused), for the daily quota
+    permissions: [], // Sharing applied to (or failed on) each new item
+    sharedDrives: { source: null, destination: null }, // Set by detectSharedDrives
+    capacityCount: null, // Progress of checkSharedDriveCapacity
+    // --- Update mode only ---
+    changes: options.mode === 'update' ? { added: [], updated: [], skipped: [], removed: [] } : null,
+    skippedNames: {},  // Maps target folder IDs to names of filtered-out items (never orphans)
+    orphansChecked: {} // Target folder IDs already checked for orphans
+  };
+
+  try {
+    var sourceFolder = withDriveRetry('getFolderById', () => DriveApp.getFolderById(sourceFolderId), copyState);
+    detectSharedDrives(sourceFolderId, options.mode === 'update' ? options.targetFolderId : destinationFolderId, copyState);
+
+    if (options.mode === 'update') {
+      // Sync into the existing copy instead of creating a new folder
+      var newFolder = withDriveRetry('getFolderById', () => DriveApp.getFolderById(options.targetFolderId), copyState);
+      copyState.mainFolderName = newFolder.getName();
+      var targetParents = newFolder.getParents();
+      copyState.destinationFolderId = targetParents.hasNext() ? targetParents.next().getId() : null;
+      setUpMainFolder(sourceFolder, newFolder, copyState);
+      if (copyState.sharedDrives.destination) {
+        // Only what the target doesn't have yet is counted
+        copyState.phase = 'capacity';
+        copyState.capacityCount = { stage: 'source', folderIds: [sourceFolderId], targetIds: [newFolder.getId()], targetItems: null, 
+          pageToken: null, copyCount: 0, driveCount: 0 };
+      }
+    } else {
+      var mainFolderName = newFolderName || sourceFolder.getName();
+      mainFolderName = applyDateTokens(mainFolderName, copyState);
+      copyState.mainFolderName = applyVariables(mainFolderName, copyState, 'Main folder name');
+      if (copyState.sharedDrives.destination) {
+        // Counting can take many Drive calls, so it's a phase of its own
+        // (which keeps to the job's deadline). It creates the main folder.
+        copyState.phase = 'capacity';
+        copyState.capacityCount = { stage: 'source', folderIds: [sourceFolderId], pageToken: null, copyCount: 1, driveCount: 0 };
+      } else {
+        var destinationFolder = withDriveRetry('getFolderById', () => DriveApp.getFolderById(destinationFolderId), copyState);
+        createMainFolder(sourceFolder, destinationFolder, copyState);
+      }
+    }
+
+  } catch (error) {
+    copyState.success = false;
+    copyState.phase = 'done';
+    copyState.errors.push(createReportError(error, 'COPY_FAILED'));
+    console.error("Error in startCopyJob: " + error.message, error.stack);
+    startFailedCopyRollback(copyState); // (The main folder may already exist)
+  }
+  copyState.timings.setup = new Date().getTime() - new Date(copyState.startTime).getTime();
+
+  return copyState;
+}
+
+/**
+ * Creates a new copy's main folder (with a unique name) in its destination.
+ * @param {GoogleAppsScript.Drive.Folder} sourceFolder
+ * @param {GoogleAppsScript.Drive.Folder} destinationFolder
+ * @param {object} copyState - With the folder's name in `mainFolderName`.
+ */
+function createMainFolder(sourceFolder, destinationFolder, copyState) {
+  copyState.mainFolderName = getUniqueFolderName(destinationFolder, copyState.mainFolderName);
+  var newFolder = createDestinationFolder(sourceFolder, destinationFolder, copyState.mainFolderName, copyState);
+  setUpMainFolder(sourceFolder, newFolder, copyState);
+}
+
+/**
+ * Records the copy's main folder (new, or the target in update mode) as
+ * the root of the copy, and gives a new one the source's sharing and
+ * metadata.
+ * @param {GoogleAppsScript.Drive.Folder} sourceFolder
+ * @param {GoogleAppsScript.Drive.Folder|object} newFolder
+ * @param {object} copyState
+ */
+function setUpMainFolder(sourceFolder, newFolder, copyState) {
+  var isUpdate = copyState.options.mode === 'update';
+  var mainFolderName = copyState.mainFolderName;
+  copyState.mainFolderId = newFolder.getId();
+  copyState.folderPaths[newFolder.getId()] = mainFolderName;
+
+  copyState.folderStructure = {
+    name: mainFolderName,
+    id: newFolder.getId(),
+    url: newFolder.getUrl(),
+    subFolders: {},
+    files: {}
+  };
+  copyState.folderMap[copyState.sourceFolderId] = newFolder.getId();
+  copyState.sourcePaths[copyState.sourceFolderId] = '';
+  // (An existing copy's own sharing is left as is; only shareWith is added.)
+  applySharing(isUpdate ? null : sourceFolder, newFolder, 'folder', mainFolderName, copyState);
+  if (!isUpdate) {
+    Object.assign(copyState.folderStructure, copyItemMetadata(sourceFolder, newFolder, 'folder', mainFolderName, copyState));
+  }
+}
+
+/**
+ * Works through the copy until it is done or `copyState.deadline` passes.
+ * Anything already copied (per the state) is skipped, so calling this
+ * again with a checkpointed state resumes the copy.
+ * @param {object} copyState - State from startCopyJob or a checkpoint.
+ * @returns {boolean} True when the copy is finished, false if it paused.
+ */
+function continueCopyJob(copyState) {
+  if (copyState.operation === 'rollback') {
+    return continueRollbackJob(copyState);
+  }
+  if (copyState.operation) {
+    return continueFolderOperation(copyState);
+  }
+  if (copyState.phase === 'rollback') {
+    return continueFailedCopyRollback(copyState);
+  }
+  if (copyState.phase === 'done') {
+    return true;
+  }
+
+  try {
+    var sourceFolder = DriveApp.getFolderById(copyState.sourceFolderId);
+    if (copyState.phase === 'capacity') {
+      timePhase(copyState, 'capacity', () => checkSharedDriveCapacity(copyState));
+      if (!copyState.mainFolderId) {
+        var destinationFolder = withDriveRetry('getFolderById', () => DriveApp.getFolderById(copyState.destinationFolderId), copyState);
+        createMainFolder(sourceFolder, destinationFolder, copyState);
+      }
+      copyState.phase = 'copy';
+    }
+    var newFolder = openDestinationFolder(copyState.mainFolderId, copyState);
+    var folderIdMap = buildFolderIdMap(copyState.folderStructure);
+
+    if (copyState.phase === 'folders' || copyState.phase === 'files') {
+      copyState.phase = 'copy'; // Checkpoint saved before the single-pass copy
+      copyState.timings = copyState.timings || {};
+      copyState.completedFolders = copyState.completedFolders || {};
+    }
+    copyState.convertedFiles = copyState.convertedFiles || {}; // Checkpoints saved before convert / rollback
+    copyState.pendingExports = copyState.pendingExports || {};
+    copyState.createdItems = copyState.createdItems || {};
+    copyState.replacedItems = copyState.replacedItems || {};
+    if (copyState.phase === 'copy') {
+      timePhase(copyState, 'copy', () => copyFolderRecursive(sourceFolder, newFolder, copyState.folderStructure, folderIdMap, copyState));
+      copyState.phase = 'shortcuts';
+    }
+    if (copyState.phase === 'shortcuts') {
+      timePhase(copyState, 'shortcuts', () => copyPendingShortcuts(folderIdMap, copyState));
+      copyState.phase = copyState.options.rewriteLinks ? 'links' : (copyState.changes ? 'orphans' : 'done');
+    }
+    if (copyState.phase === 'links') {
+      timePhase(copyState, 'links', () => rewriteLinks(copyState));
+      copyState.phase = 'exports';
+    }
+    if (copyState.phase === 'exports') {
+      timePhase(copyState, 'exports', () => exportPendingConversions(folderIdMap, copyState));
+      copyState.phase = copyState.changes ? 'orphans' : 'done';
+    }
+    if (copyState.phase === 'orphans') {
+      timePhase(copyState, 'orphans', () => handleOrphans(copyState));
+    }
+    copyState.phase = 'done';
+
+  } catch (error) {
+    if (error.isCheckpoint) {
+      return false;
+    }
+    if (error.isCancellation) {
+      // Stop here, and don't save a report into the partial copy.
+      copyState.cancelled = true;
+      copyState.saveJsonOutput = false;
+    }
+    copyState.success = false;
+    copyState.phase = 'done';
+    copyState.errors.push(createReportError(error, error.isCancellation ? 'JOB_CANCELLED' : 'COPY_FAILED'));
+    console.error("Error in continueCopyJob: " + error.message, error.stack);
+    startFailedCopyRollback(copyState);
+    if (copyState.phase === 'rollback') {
+      return continueFailedCopyRollback(copyState);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Builds the final report for a finished copy and saves it as JSON, plus
+ * any other `reportFormats` (see buildReports), which are also returned
+ * in the report's `reports`.
+ * @param {object} copyState - The finished copy state.
+ * @returns {string} JSON string containing the copy results.
+ */
+function finishCopyJob(copyState) {
+  if (copyState.operation === 'rollback') {
+    return finishRollbackJob(copyState);
+  }
+  if (copyState.operation) {
+    return finishFolderOperation(copyState);
+  }
+  var reportStarted = new Date().getTime();
+  var startTime = new Date(copyState.startTime);
+  var destinationFolderId = copyState.destinationFolderId;
+  var saveJsonOutput = copyState.saveJsonOutput;
+  var folderStructure = copyState.folderStructure;
+  var folderIdMap = folderStructure ? buildFolderIdMap(folderStructure) : {};
+  var createdFiles = folderStructure ? collectFiles(folderStructure) : [];
+  var newFolder = null;
+  var destinationFolder = null;
+  var reportFile = null; // Stays null if saveJsonOutput is false
+  var reportFileInfo = null; // Its structure entry, if it's saved in the new folder
+  var reportFileName = getReportFileName('json', copyState);
+  var reportFormats = copyState.options.reportFormats || ['json'];
+
+  try {
+    if (destinationFolderId) {
+      destinationFolder = DriveApp.getFolderById(destinationFolderId);
+    }
+    if (copyState.mainFolderId) {
+      newFolder = openDestinationFolder(copyState.mainFolderId, copyState);
+    }
+  } catch (e) {
+    console.error("Error in finishCopyJob: " + e.message);
+  }
+
+  // --- PREPARE RETURN DATA ---
+  var totalFiles = createdFiles.length;
+  var totalSize = createdFiles.reduce((sum, file) => sum + file.size, 0);
+  var failedFiles = Object.keys(copyState.copiedFiles).filter(id => copyState.copiedFiles[id] === false).length;
+
+  var returnData = {
+    success: copyState.success && !(failedFiles > 0 && totalFiles === 0),
+    status: null, // Set below, once all errors are in
+    timestamp: startTime.toISOString(),
+    destinationRoot: {
+      name: destinationFolder ? destinationFolder.getName() : null,
+      id: destinationFolderId,
+      url: destinationFolder ? destinationFolder.getUrl() : null
+    },
+    mainFolder: {
+      name: copyState.mainFolderName,
+      id: copyState.mainFolderId,
+      url: newFolder ? newFolder.getUrl() : null
+    },
+    summary: {
+      totalFiles: totalFiles,
+      totalSize: totalSize,
+      totalSizeHuman: formatBytes(totalSize),
+      folderCount: Object.keys(folderIdMap).length,
+      skippedCount: copyState.skipped.length,
+      failedFiles: failedFiles,
+      filesCreated: copyState.filesCreated || 0,
+      retries: Object.keys(copyState.retries).reduce((sum, operation) => sum + copyState.retries[operation], 0),
+      executionTime: null // Will be added at the end
+    },
+    folderStructure: folderStructure,
+    idMap: getIdMap(copyState),
+    skipped: copyState.skipped,
+    retries: copyState.retries,
+    errors: copyState.errors
+  };
+
+  if (copyState.changes) {
+    returnData.changes = copyState.changes;
+    returnData.summary.changes = {
+      added: copyState.changes.added.length,
+      updated: copyState.changes.updated.length,
+      skipped: copyState.changes.skipped.length,
+      removed: copyState.changes.removed.length
+    };
+  }
+
+  if (copyState.options.dryRun) {
+    // Nothing was created: IDs are "planned-<source ID>" and URLs are null.
+    returnData.dryRun = true;
+    Object.assign(returnData.summary, estimateCopyTime(returnData.summary.folderCount, totalFiles));
+  }
+
+  if (copyState.options.copyPermissions || copyState.options.shareWith) {
+    returnData.permissions = copyState.permissions;
+    returnData.summary.permissionsApplied = copyState.permissions.reduce((sum, entry) => sum + entry.applied.length, 0);
+    returnData.summary.permissionsFailed = copyState.permissions.reduce((sum, entry) => sum + entry.failed.length, 0);
+  }
+
+  if (usesSharedDrives(copyState)) {
+    returnData.sharedDrives = copyState.sharedDrives;
+  }
+
+  if (copyState.options.convert) {
+    returnData.summary.filesConverted = createdFiles.filter(file => file.convertedFrom).length;
+  }
+
+  if (copyState.options.rewriteLinks) {
+    returnData.linkRewrites = copyState.linkRewrites;
+    returnData.summary.linksRewritten = copyState.linkRewrites.reduce((sum, entry) => sum + entry.replaced, 0);
+  }
+
+  if (hasVariables(copyState)) {
+    returnData.unresolvedPlaceholders = Object.keys(copyState.unresolvedPlaceholders).map(placeholder => ({
+      placeholder: placeholder,
+      locations: copyState.unresolvedPlaceholders[placeholder]
+    }));
+  }
+
+  // --- BUILD OTHER REPORT FORMATS ---
+  // (From the copied items only: the report files aren't listed in them.)
+  var reports = folderStructure ? buildReports(returnData, reportFormats) : {};
+
+  // Report files go into the new folder, or into reportFolderId if set.
+  var reportFolder = newFolder;
+  if (saveJsonOutput && copyState.options.reportFolderId) {
+    try {
+      reportFolder = DriveApp.getFolderById(copyState.options.reportFolderId);
+    } catch (e) {
+      reportFolder = null;
+      returnData.errors.push(createReportError(e, 'REPORT_SAVE_FAILED', 'Could not open the report folder: ' + e.message));
+      returnData.success = false;
+    }
+  }
+
+  // --- SAVE JSON REPORT (Create-Then-Update Logic) ---
+  
+  if (saveJsonOutput && reportFolder && reportFormats.indexOf('json') !== -1) {
+    try {
+      // 1. Create a placeholder file to get an ID and URL
+      // (or reuse the one from an earlier run, when updating an existing copy)
+      reportFile = findUpdatedReportFile(reportFolder, reportFileName, copyState);
+      if (!reportFile) {
+        reportFile = reportFolder.createFile(reportFileName, '{}', 'application/json');
+        recordCreatedItem(copyState, reportFile, 'file');
+      }
+      returnData.reportFiles = [{ format: 'json', name: reportFile.getName(), id: reportFile.getId(), url: reportFile.getUrl() }];
+    } catch (e) {
+      var saveError = "Failed to create placeholder JSON report: " + e.message;
+      console.error(saveError);
+      returnData.errors.push(createReportError(e, 'REPORT_SAVE_FAILED', saveError));
+      returnData.success = false; // Mark as false if saving the report fails
+    }
+  }
+
+  if (reportFile && reportFolder === newFolder) {
+    try {
+      // 2. Get the new report file's info
+      reportFileInfo = {
+        name: reportFile.getName(),
+        id: reportFile.getId(),
+        url: reportFile.getUrl(),
+        path: copyState.folderPaths[newFolder.getId()], // Path will be just the main folder name
+        folderId: newFolder.getId(),
+        size: 0, // Placeholder size, will update later
+        mimeType: reportFile.getMimeType(),
+        createdTime: reportFile.getDateCreated().toISOString()
+      };
+      
+      // 3. Add the report's info back into the returnData
+      addStructureEntry(returnData.folderStructure.files, reportFileInfo);
+      createdFiles.push(reportFileInfo); // Add to the flat list
+      
+      // 4. Recalculate summary to include the (empty) report file
+      returnData.summary.totalFiles = createdFiles.length;
+      var newTotalSize = createdFiles.reduce((sum, file) => sum + file.size, 0);
+      returnData.summary.totalSize = newTotalSize;
+      returnData.summary.totalSizeHuman = formatBytes(newTotalSize);
+
+    } catch (e) {
+      var saveError = "Failed to create placeholder JSON report: " + e.message;
+      console.error(saveError);
+      returnData.errors.push(createReportError(e, 'REPORT_SAVE_FAILED', saveError));
+      returnData.success = false; // Mark as false if saving the report fails
+    }
+  }
+
+  // --- SAVE OTHER REPORT FORMATS ---
+  if (saveJsonOutput && reportFolder) {
+    returnData.reportFiles = (returnData.reportFiles || []).concat(saveReportFiles(reports, reportFolder, returnData, copyState));
+  }
+
+  returnData.status = getCopyStatus(returnData);
+
+  // --- FINALISE EXECUTION TIME ---
+  // Do this *before* the final write, so it's *in* the saved file.
+  var endTime = new Date();
+  var executionTimeMs = endTime.getTime() - startTime.getTime();
+  var executionTimeSeconds = (executionTimeMs / 1000).toFixed(2);
+  returnData.summary.executionTime = executionTimeSeconds + ' seconds';
+  returnData.summary.phaseTimingsMs = Object.assign({}, copyState.timings, { report: endTime.getTime() - reportStarted });
+  
+  // --- FINAL JSON WRITE ---
+  // Now that we have the exec time, update the report file with final content
+  if (saveJsonOutput && reportFile) {
+    try {
+      var finalJsonContent = JSON.stringify(returnData, null, 2);
+      reportFile.setContent(finalJsonContent);
+      
+      // And update the size in our response object
+      // (if the report is one of the new folder's files)
+      if (reportFileInfo) {
+        var finalFileSize = reportFile.getSize();
+        reportFileInfo.size = finalFileSize;
+        
+        // Recalculate total size one last time
+        var newTotalSize = createdFiles.reduce((sum, file) => {
+          return sum + (file.id === reportFile.getId() ? finalFileSize : file.size);
+        }, 0);
+        returnData.summary.totalSize = newTotalSize;
+        returnData.summary.totalSizeHuman = formatBytes(newTotalSize);
+      }
+      
+      // Recalculate execution time *again* to be as accurate as possible
+      // for the API response (includes the file write time).
+      endTime = new Date();
+      executionTimeMs = endTime.getTime() - startTime.getTime();
+      executionTimeSeconds = (executionTimeMs / 1000).toFixed(2);
+      returnData.summary.executionTime = executionTimeSeconds + ' seconds';
+      returnData.summary.phaseTimingsMs.report = endTime.getTime() - reportStarted;
+      
+    } catch (e) {
+      var saveError = "Failed to write final content to JSON report: " + e.message;
+      console.error(saveError);
+      returnData.errors.push(createReportError(e, 'REPORT_SAVE_FAILED', saveError));
+      returnData.success = false;
+      returnData.status = getCopyStatus(returnData);
+    }
+  }
+
+  // The other formats' content goes in the response, not in the JSON report
+  if (Object.keys(reports).length) {
+    returnData.reports = reports;
+  }
+
+  // (Only when the copy itself failed or was cancelled, not for report errors)
+  if (copyState.rollback) {
+    returnData.rollback = describeRollback(copyState.rollback);
+  }
+
+  // Return the *final* modified JSON string
+  return JSON.stringify(returnData, null, 2);
+}
+
+/**
+ * Works out the overall outcome of a copy from its report:
+ * 'failed' if it didn't succeed, 'partial' if anything went wrong along
+ * the way (e.g. some files failed to copy), otherwise 'complete'.
+ * @param {object} returnData - The copy report.
+ * @returns {string}
+ */
+function getCopyStatus(returnData) {
+  if (!returnData.success) {
+    return 'failed';
+  }
+  return returnData.errors.length ? 'partial' : 'complete';
+}
+
+/**
+ * Copies a folder's contents in a single pass: first its files, then each
+ * subfolder (created, then filled) in turn. Everything is tracked by
+ * source ID, so an item handled in an earlier run (see
+ * `copyState.folderMap` / `copiedFiles`) is not copied again, and a folder
+ * whose whole subtree is done is not even listed again.
+ * Items excluded by the request's filters are skipped (a folder along with
+ * everything inside it). Shortcuts follow the request's `shortcuts` policy;
+ * ones to be re-pointed at a target not copied yet wait for the
+ * 'shortcuts' phase. In update mode, items that already exist in the target
+ * are reused (see copySingleFile for files).
+ * @param {GoogleAppsScript.Drive.Folder} sourceFolder
+ * @param {GoogleAppsScript.Drive.Folder|object} destinationFolder - Its copy.
+ * @param {object} currentStructure - The copy's structure node.
+ * @param {object} folderIdMap - New folder IDs -> structure nodes.
+ * @param {object} copyState
+ */
+function copyFolderRecursive(sourceFolder, destinationFolder, currentStructure, folderIdMap, copyState) {
+  var sourcePath = copyState.sourcePaths[sourceFolder.getId()];
+
+  // 1. Files
+  var files = listFiles(sourceFolder, copyState);
+  for (var i = 0; i < files.length; i++) {
+    var file = files[i];
+    if (copyState.copiedFiles.hasOwnProperty(file.getId()) || copyState.pendingShortcuts.hasOwnProperty(file.getId())) {
+      continue;
+    }
+    var relativePath = joinPath(sourcePath, file.getName());
+    var skipReason = getSkipReason(file, relativePath, false, copyState);
+    if (!skipReason && isShortcut(file) && copyState.options.shortcuts === 'skip') {
+      skipReason = 'Shortcut (shortcuts: skip)';
+    }
+    if (skipReason) {
+      copyState.copiedFiles[file.getId()] = null;
+      recordSkippedItem(copyState, 'file', file, relativePath, skipReason);
+      protectFromOrphanRemoval(destinationFolder, file.getName(), copyState);
+      continue;
+    }
+    if (isShortcut(file) && copyState.options.shortcuts === 'retarget' && 
+        !copyState.copiedFiles.hasOwnProperty(file.getTargetId()) && !copyState.folderMap.hasOwnProperty(file.getTargetId())) {
+      copyState.pendingShortcuts[file.getId()] = sourceFolder.getId();
+      continue;
+    }
+    copySingleFile(file, relativePath, destinationFolder, currentStructure, copyState);
+  }
+
+  // 2. Subfolders
+  var subfolders = listSubfolders(sourceFolder, copyState);
+  for (var j = 0; j < subfolders.length; j++) {
+    var subfolder = subfolders[j];
+    var newSubfolder;
+    var newStructureNode;
+    var existingId = copyState.folderMap[subfolder.getId()];
+    
+    if (existingId === null || existingId === false || copyState.completedFolders[subfolder.getId()]) {
+      continue; // Skipped, failed, or fully copied in an earlier run
+    }
+    if (existingId) {
+      newSubfolder = openDestinationFolder(existingId, copyState);
+      newStructureNode = folderIdMap[existingId];
+    } else {
+      var subfolderPath = joinPath(sourcePath, subfolder.getName());
+      copyState.sourcePaths[subfolder.getId()] = subfolderPath;
+      var folderSkipReason = getSkipReason(subfolder, subfolderPath, true, copyState);
+      if (folderSkipReason) {
+        copyState.folderMap[subfolder.getId()] = null;
+        recordSkippedItem(copyState, 'folder', subfolder, subfolderPath, folderSkipReason);
+        protectFromOrphanRemoval(destinationFolder, subfolder.getName(), copyState);
+        continue;
+      }
+
+      checkJobBudget(copyState);
+      var parentPath = copyState.folderPaths[destinationFolder.getId()];
+      var subfolderName = applyVariables(subfolder.getName(), copyState, parentPath + '/' + subfolder.getName());
+      try {
+        newSubfolder = findExistingItem(destinationFolder, subfolderName, true, copyState, currentStructure);
+        var isNewFolder = !newSubfolder;
+        if (!newSubfolder) {
+          newSubfolder = createDestinationFolder(subfolder, destinationFolder, subfolderName, copyState);
+        }
+      } catch (e) {
+        if (e.isCheckpoint || stopsWholeCopy(e)) {
+          throw e;
+        }
+        // Leave out this subtree, but carry on with the rest of the copy
+        copyState.folderMap[subfolder.getId()] = false;
+        console.error("Could not copy folder: " + subfolder.getName() + ", Error: " + e.message);
+        copyState.errors.push(createReportError(e, 'FOLDER_COPY_FAILED', 'Could not copy folder: ' + e.message, 
+          { type: 'folder', name: subfolder.getName(), sourceId: subfolder.getId(), path: subfolderPath }));
+        protectFromOrphanRemoval(destinationFolder, subfolder.getName(), copyState);
+        continue;
+      }
+      if (isNewFolder) {
+        recordChange(copyState, 'added', 'folder', parentPath + '/' + subfolderName, newSubfolder.getId());
+      } else {
+        recordChange(copyState, 'skipped', 'folder', parentPath + '/' + subfolderName, newSubfolder.getId(), 'Already exists');
+      }
+      
+      newStructureNode = {
+        name: newSubfolder.getName(),
+        id: newSubfolder.getId(),
+        url: newSubfolder.getUrl(),
+        subFolders: {},
+        files: {}
+      };
+      
+      addStructureEntry(currentStructure.subFolders, newStructureNode);
+      folderIdMap[newSubfolder.getId()] = newStructureNode;
+      copyState.folderMap[subfolder.getId()] = newSubfolder.getId();
+      copyState.folderPaths[newSubfolder.getId()] = parentPath + '/' + newSubfolder.getName();
+      if (isNewFolder) {
+        applySharing(subfolder, newSubfolder, 'folder', copyState.folderPaths[newSubfolder.getId()], copyState);
+        Object.assign(newStructureNode, copyItemMetadata(subfolder, newSubfolder, 'folder', copyState.folderPaths[newSubfolder.getId()], copyState));
+      }
+    }
+    
+    copyFolderRecursive(subfolder, newSubfolder, newStructureNode, folderIdMap, copyState);
+  }
+
+  copyState.completedFolders[sourceFolder.getId()] = true;
+}
+
+/**
+ * Copies one source file into its destination folder and records it in
+ * the folder structure. A `convert` rule for the file's type makes a
+ * converted file instead of, or alongside, the plain copy. A failed copy
+ * is recorded and doesn't stop the job.
+ * @param {GoogleAppsScript.Drive.File} file
+ * @param {string} relativePath - Its path relative to the source folder.
+ * @param {GoogleAppsScript.Drive.Folder|object} destinationFolder
+ * @param {object} currentStructure - The destination folder's structure node.
+ * @param {object} copyState
+ */
+function copySingleFile(file, relativePath, destinationFolder, currentStructure, copyState) {
+  checkJobBudget(copyState);
+  var conversion = getConversion(file, copyState);
+  var step = 'copy';
+  try {
+    var path = copyState.folderPaths[destinationFolder.getId()];
+    var newName = applyVariables(file.getName(), copyState, path + '/' + file.getName());
+    var newFile = null;
+    if (!conversion || conversion.keepOriginal) {
+      newFile = addFileToDestination(file, newName, null, destinationFolder, currentStructure, copyState);
+    }
+    if (conversion) {
+      step = 'convert';
+      try {
+        var convertedFile = addFileToDestination(file, getConvertedName(newName, conversion.to), newFile, 
+          destinationFolder, currentStructure, copyState, conversion.to);
+        copyState.convertedFiles[file.getId()] = convertedFile.getId();
+        newFile = newFile || convertedFile;
+      } catch (e) {
+        if (!newFile || e.isCheckpoint || stopsWholeCopy(e)) {
+          throw e;
+        }
+        // The plain copy was made: only the converted file is missing
+        console.error("Could not convert file: " + file.getName() + ", Error: " + e.message);
+        copyState.errors.push(createReportError(e, 'CONVERSION_FAILED', 'Could not convert file to ' + conversion.to + ': ' + e.message, 
+          { type: 'file', name: file.getName(), sourceId: file.getId(), path: relativePath }));
+      }
+    }
+    copyState.copiedFiles[file.getId()] = newFile.getId();
+  } catch (e) {
+    if (e.isCheckpoint) {
+      throw e; // Out of time while retrying: try this file again next run
+    }
+    if (stopsWholeCopy(e)) {
+      throw e; // No other file would make it either
+    }
+    copyState.copiedFiles[file.getId()] = false;
+    console.error("Could not copy file: " + file.getName() + ", Error: " + e.message);
+    var restriction = getSharedDriveRestriction(file, copyState);
+    if (restriction) {
+      copyState.errors.push(createReportError(e, 'SHARED_DRIVE_RESTRICTED', 'Could not copy file: ' + restriction, 
+        { type: 'file', name: file.getName(), sourceId: file.getId(), path: relativePath }));
+    } else if (step === 'convert') {
+      copyState.errors.push(createReportError(e, 'CONVERSION_FAILED', 'Could not convert file to ' + conversion.to + ': ' + e.message, 
+        { type: 'file', name: file.getName(), sourceId: file.getId(), path: relativePath }));
+    } else {
+      copyState.errors.push(createReportError(e, 'FILE_COPY_FAILED', 'Could not copy file: ' + e.message, 
+        { type: 'file', name: file.getName(), sourceId: file.getId(), path: relativePath }));
+    }
+  }
+}
+
+/**
+ * Makes one destination file for a source file (a plain copy, or converted
+ * to `toMimeType`) and adds it to the folder structure. In update mode, a
+ * file that already exists in the target is kept, or replaced if
+ * `overwriteNewer` is set and the source has changed since.
+ * @param {GoogleAppsScript.Drive.File} file - The source file.
+ * @param {string} name - The new file's name.
+ * @param {GoogleAppsScript.Drive.File|object|null} plainCopy - The file's
+ *   plain copy if one was made, to export from (placeholders filled in).
+ * @param {GoogleAppsScript.Drive.Folder|object} destinationFolder
+ * @param {object} currentStructure
+ * @param {object} copyState
+ * @param {string} [toMimeType] - Convert to this type.
+ * @returns {GoogleAppsScript.Drive.File|object} The new, kept or planned file.
+ */
+function addFileToDestination(file, name, plainCopy, destinationFolder, currentStructure, copyState, toMimeType) {
+  var path = copyState.folderPaths[destinationFolder.getId()];
+  var newFile;
+  var metadata = {};
+  var existingFile = findExistingItem(destinationFolder, name, false, copyState, currentStructure);
+  
+  if (existingFile && !(copyState.options.overwriteNewer && 
+      file.getLastUpdated().getTime() > existingFile.getLastUpdated().getTime())) {
+    newFile = existingFile;
+    recordChange(copyState, 'skipped', 'file', path + '/' + name, existingFile.getId(), 
+      copyState.options.overwriteNewer ? 'Up to date' : 'Already exists');
+  } else {
+    newFile = toMimeType 
+      ? convertFileTo(file, toMimeType, plainCopy, destinationFolder, name, copyState)
+      : copyFileTo(file, destinationFolder, name, copyState);
+    replacePlaceholdersInFile(newFile, copyState, path + '/' + name);
+    applySharing(file, newFile, 'file', path + '/' + name, copyState);
+    metadata = copyItemMetadata(file, newFile, 'file', path + '/' + name, copyState);
+    if (existingFile) {
+      trashDestinationItem(existingFile, copyState);
+      copyState.replacedItems[newFile.getId()] = existingFile.getId(); // Restored if the new file is rolled back
+      recordChange(copyState, 'updated', 'file', path + '/' + name, newFile.getId(), 'Source is newer');
+    } else {
+      recordChange(copyState, 'added', 'file', path + '/' + name, newFile.getId());
+    }
+  }
+  var createdTime = newFile.getDateCreated();
+  var fileInfo = {
+    name: newFile.getName(),
+    id: newFile.getId(),
+    url: newFile.getUrl(),
+    path: path,
+    folderId: destinationFolder.getId(),
+    size: newFile.getSize(),
+    mimeType: newFile.getMimeType(),
+    createdTime: createdTime ? createdTime.toISOString() : null
+  };
+  if (toMimeType) {
+    fileInfo.convertedFrom = { name: file.getName(), id: file.getId(), mimeType: file.getMimeType() };
+  }
+  Object.assign(fileInfo, metadata);
+  
+  addStructureEntry(currentStructure.files, fileInfo);
+  return newFile;
+}
+
+/**
+ * Copies the shortcuts held back for `shortcuts: "retarget"` now that
+ * every file has been copied and their targets (if in the tree) have IDs.
+ * @param {object} folderIdMap - New folder IDs -> structure nodes.
+ * @param {object} copyState
+ */
+function copyPendingShortcuts(folderIdMap, copyState) {
+  Object.keys(copyState.pendingShortcuts).forEach(fileId => {
+    var sourceFolderId = copyState.pendingShortcuts[fileId];
+    var destinationFolderId = copyState.folderMap[sourceFolderId];
+    var file = withDriveRetry('getFileById', () => DriveApp.getFileById(fileId), copyState);
+    var relativePath = joinPath(copyState.sourcePaths[sourceFolderId], file.getName());
+    copySingleFile(file, relativePath, openDestinationFolder(destinationFolderId, copyState), 
+      folderIdMap[destinationFolderId], copyState);
+    delete copyState.pendingShortcuts[fileId];
+  });
+}
+
+/**
+ * Adds a file or folder entry to a structure node's `files`/`subFolders`,
+ * keyed by name. Drive allows several items with the same name in a
+ * folder, so same-named entries are all keyed "name [id]" instead.
+ * @param {object} entries - A node's `files` or `subFolders`.
+ * @param {object} entry - Has at least `name` and `id`.
+ */
+function addStructureEntry(entries, entry) {
+  var sameName = Object.keys(entries).filter(key => entries[key].name === entry.name);
+  var existingKey = sameName.find(key => entries[key].id === entry.id);
+  if (existingKey) {
+    entries[existingKey] = entry;
+    return;
+  }
+  if (!sameName.length) {
+    entries[entry.name] = entry;
+    return;
+  }
+  sameName.forEach(key => {
+    var other = entries[key];
+    delete entries[key];
+    entries[other.name + ' [' + other.id + ']'] = other;
+  });
+  entries[entry.name + ' [' + entry.id + ']'] = entry;
+}
+
+/**
+ * Runs one phase of the copy and adds the time it took (even if it stopped
+ * at a checkpoint) to `copyState.timings`.
+ * @param {object} copyState
+ * @param {string} phase
+ * @param {Function} fn
+ */
+function timePhase(copyState, phase, fn) {
+  var started = new Date().getTime();
+  try {
+    fn();
+  } finally {
+    copyState.timings[phase] = (copyState.timings[phase] || 0) + (new Date().getTime() - started);
+  }
+}
+
+/**
+ * Throws a checkpoint signal once the job's time budget is used up, or a
+ * cancellation signal if the job has been cancelled (checked every
+ * CONFIG.JOB_CANCEL_CHECK_MS). Sync copies have neither and never stop here.
+ * @param {object} copyState
+ */
+function checkJobBudget(copyState) {
+  var now = new Date().getTime();
+  if (copyState.jobId && now >= copyState.nextCancelCheck) {
+    copyState.nextCancelCheck = now + CONFIG.JOB_CANCEL_CHECK_MS;
+    if (isJobCancelRequested(copyState.jobId)) {
+      var cancelError = new Error('Job was cancelled.');
+      cancelError.isCancellation = true;
+      throw cancelError;
+    }
+  }
+  if (copyState.deadline && now >= copyState.deadline) {
+    var error = new Error('Time budget reached. The job will resume on the next run.');
+    error.isCheckpoint = true;
+    throw error;
+  }
+}
+
+/**
+ * Tells errors that stop the whole copy (the destination Shared Drive is
+ * full, or the key's daily file budget is used up) from ones that only
+ * affect the item at hand.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function stopsWholeCopy(error) {
+  return error.code === 'SHARED_DRIVE_ITEM_LIMIT' || error.code === 'QUOTA_EXCEEDED';
+}
+
+/**
+ * Rebuilds the new-folder-ID -> structure-node map from a folder structure.
+ * (A checkpoint only stores the tree, as JSON would duplicate shared nodes.)
+ * @param {object} folderStructure
+ * @returns {object}
+ */
+function buildFolderIdMap(folderStructure) {
+  var folderIdMap = {};
+  (function walk(node) {
+    folderIdMap[node.id] = node;
+    Object.keys(node.subFolders).forEach(key => walk(node.subFolders[key]));
+  })(folderStructure);
+  return folderIdMap;
+}
+
+/**
+ * Flattens all file entries in a folder structure into one list.
+ * @param {object} folderStructure
+ * @returns {object[]}
+ */
+function collectFiles(folderStructure) {
+  var files = [];
+  (function walk(node) {
+    Object.keys(node.files).forEach(key => files.push(node.files[key]));
+    Object.keys(node.subFolders).forEach(key => walk(node.subFolders[key]));
+  })(folderStructure);
+  return files;
+}
+
+
+// --- FOLDER OPERATIONS (Move, Archive, Trash) ---
+// `operation: "move" | "archive" | "trash"` works on the source folder
+// itself instead of copying it. Operations run as jobs like copies do
+// (startCopyJob and friends hand them over to the functions below), so
+// they can be sync, async, batched or scheduled.
+
+const FOLDER_OPERATIONS = ['move', 'archive', 'trash'];
+
+/**
+ * @param {object} [options] - Copy options, or the request parameters.
+ * @returns {boolean} True if the request moves, archives or trashes a folder.
+ */
+function isFolderOperation(options) {
+  return !!options && FOLDER_OPERATIONS.indexOf(options.operation) !== -1;
+}
+
+/**
+ * Validates a move, archive or trash request. Trashing a folder, and
+ * stripping an archived folder's sharing, can't be undone through the
+ * API, so they also need `confirm` set to the folder's ID.
+ * @param {object} params
+ * @param {object} apiKey
+ * @returns {object} The validated parameters.
+ */
+function validateOperationParams(params, apiKey) {
+  var { operation, sourceFolderId, destinationFolderId } = params;
+  var isTrash = operation === 'trash';
+  if (!sourceFolderId || (!isTrash && !destinationFolderId)) {
+    throw createApiError('INVALID_REQUEST', "Missing required parameters for operation '" + operation + "': " + 
+      (isTrash ? 'sourceFolderId.' : 'sourceFolderId and destinationFolderId.'), 
+      { field: !sourceFolderId ? 'sourceFolderId' : 'destinationFolderId' });
+  }
+  ['stripSharing', 'dateSuffix'].forEach(key => {
+    if (params[key] !== undefined && operation !== 'archive') {
+      throw createApiError('INVALID_REQUEST', key + " is only supported with operation 'archive'.", { field: key });
+    }
+  });
+  if (isTrash && params.newFolderName !== undefined) {
+    throw createApiError('INVALID_REQUEST', "newFolderName is not supported with operation 'trash'.", { field: 'newFolderName' });
+  }
+  if (params.dateSuffix !== undefined && params.dateSuffix !== true && !(typeof params.dateSuffix === 'string' && params.dateSuffix)) {
+    throw createApiError('INVALID_REQUEST', 'Invalid dateSuffix. Expected true or a date pattern like "yyyy-MM".', { field: 'dateSuffix' });
+  }
+  ['dryRun', 'stripSharing'].forEach(key => {
+    if (params[key] !== undefined && typeof params[key] !== 'boolean') {
+      throw createApiError('INVALID_REQUEST', 'Invalid ' + key + '. Expected true or false.', { field: key });
+    }
+  });
+  validateJobSettings(params);
+
+  validateInput(sourceFolderId, isTrash ? undefined : destinationFolderId);
+  verifyFolderAccess(sourceFolderId, 'Source');
+  if (!isTrash) {
+    verifyFolderAccess(destinationFolderId, 'Destination');
+    if (isFolderWithin(destinationFolderId, [sourceFolderId])) {
+      throw createApiError('INVALID_REQUEST', 'Cannot move a folder into itself or one of its subfolders.', { field: 'destinationFolderId' });
+    }
+  }
+  checkApiKeyScope(apiKey, params, destinationFolderId);
+
+  if ((isTrash || params.stripSharing) && params.confirm !== sourceFolderId) {
+    throw createApiError('CONFIRMATION_REQUIRED', (isTrash ? 'Trashing a folder' : 'Stripping sharing') + 
+      ' needs "confirm" set to the folder\'s ID (' + sourceFolderId + ').', { field: 'confirm' });
+  }
+  params.saveJsonOutput = false; // Operations report through the response / callback only
+  return params;
+}
+
+/**
+ * Creates the state for a move, archive or trash job. Like a copy state,
+ * it's plain JSON, so it can be checkpointed between runs.
+ * @param {string} sourceFolderId - The folder to move or trash.
+ * @param {string} [destinationFolderId] - Its new parent (not for trash).
+ * @param {string} [newFolderName] - New name (date tokens allowed).
+ * @param {object} options - Copy options (see getCopyOptions).
+ * @returns {object} The operation state.
+ */
+function startFolderOperation(sourceFolderId, destinationFolderId, newFolderName, options) {
+  var state = {
+    operation: options.operation,
+    sourceFolderId: sourceFolderId,
+    destinationFolderId: options.operation === 'trash' ? null : destinationFolderId,
+    options: options,
+    startTime: new Date().toISOString(),
+    success: true,
+    errors: [],
+    phase: options.stripSharing ? 'sharing' : 'move', // ('sharing' if stripSharing) -> 'move' -> 'done'
+    timings: {},
+    folder: null,            // The folder's name, ID and URL before the operation
+    previousParentIds: [],   // Where it was before a move
+    newName: null,           // Its name after a move or archive
+    pendingFolders: [],      // stripSharing: folders still to go, as { id, path }
+    itemsChecked: 0,         // stripSharing: files and folders done
+    permissions: [],         // stripSharing: sharing removed from (or failed on) each item
+    retries: {}
+  };
+
+  try {
+    var folder = withDriveRetry('getFolderById', () => DriveApp.getFolderById(sourceFolderId), state);
+    state.folder = { name: folder.getName(), id: folder.getId(), url: folder.getUrl() };
+    state.previousParentIds = iteratorToArray(folder.getParents()).map(parent => parent.getId());
+    state.pendingFolders = options.stripSharing ? [{ id: sourceFolderId, path: folder.getName() }] : [];
+    if (state.destinationFolderId) {
+      state.newName = newFolderName ? applyDateTokens(newFolderName, state) : folder.getName();
+      if (options.dateSuffix) {
+        state.newName += ' ' + applyDateTokens(options.dateSuffix === true ? '{{date}}' : '{{date:' + options.dateSuffix + '}}', state);
+      }
+      if (state.previousParentIds.indexOf(state.destinationFolderId) === -1) {
+        var destinationFolder = withDriveRetry('getFolderById', () => DriveApp.getFolderById(state.destinationFolderId), state);
+        state.newName = getUniqueFolderName(destinationFolder, state.newName);
+      }
+    }
+  } catch (error) {
+    state.success = false;
+    state.phase = 'done';
+    state.errors.push(createReportError(error, 'OPERATION_FAILED'));
+    console.error("Error in startFolderOperation: " + error.message, error.stack);
+  }
+  state.timings.setup = new Date().getTime() - new Date(state.startTime).getTime();
+  return state;
+}
+
+/**
+ * Works through an operation until it is done or `state.deadline` passes
+ * (see continueCopyJob). Each step can safely be repeated on resume.
+ * @param {object} state - From startFolderOperation or a checkpoint.
+ * @returns {boolean} True when the operation is finished, false if it paused.
+ */
+function continueFolderOperation(state) {
+  if (state.phase === 'done') {
+    return true;
+  }
+
+  try {
+    if (state.phase === 'sharing') {
+      timePhase(state, 'sharing', () => stripFolderSharing(state));
+      state.phase = 'move';
+    }
+    if (state.phase === 'move') {
+      timePhase(state, state.operation === 'trash' ? 'trash' : 'move', () => moveOperationFolder(state));
+    }
+    state.phase = 'done';
+
+  } catch (error) {
+    if (error.isCheckpoint) {
+      return false;
+    }
+    if (error.isCancellation) {
+      state.cancelled = true;
+    }
+    state.success = false;
+    state.phase = 'done';
+    state.errors.push(createReportError(error, error.isCancellation ? 'JOB_CANCELLED' : 'OPERATION_FAILED'));
+    console.error("Error in continueFolderOperation: " + error.message, error.stack);
+  }
+
+  return true;
+}
+
+/**
+ * Removes the sharing of the folder and everything inside it, top down,
+ * one folder (and its files) at a time. Only the owner and this script's
+ * account keep access, plus whatever the new parent folder shares.
+ * @param {object} state
+ */
+function stripFolderSharing(state) {
+  while (state.pendingFolders.length) {
+    checkJobBudget(state);
+    var current = state.pendingFolders[0];
+    var folder = withDriveRetry('getFolderById', () => DriveApp.getFolderById(current.id), state);
+    stripItemSharing(folder, 'folder', current.path, state);
+    iteratorToArray(withDriveRetry('getFiles', () => folder.getFiles(), state)).forEach(file => {
+      stripItemSharing(file, 'file', current.path + '/' + file.getName(), state);
+    });
+    var subfolders = iteratorToArray(withDriveRetry('getFolders', () => folder.getFolders(), state));
+    state.pendingFolders.shift();
+    subfolders.forEach(subfolder => state.pendingFolders.push({ id: subfolder.getId(), path: current.path + '/' + subfolder.getName() }));
+  }
+}
+
+/**
+ * Removes one item's users, groups and link sharing (not in a dry run,
+ * which only lists them). Failures are listed and don't stop the job.
+ * @param {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File} item
+ * @param {string} type - 'file' or 'folder'
+ * @param {string} path
+ * @param {object} state
+ */
+function stripItemSharing(item, type, path, state) {
+  var entry = { type: type, path: path, id: item.getId(), removed: [], failed: [] };
+  state.itemsChecked++;
+  try {
+    var owner = item.getOwner();
+    var ownerEmail = owner ? owner.getEmail() : null;
+    var grants = getSourceGrants(item, type === 'file', state).filter(grant => !(grant.email && grant.email === ownerEmail));
+  } catch (e) {
+    entry.failed.push({ role: 'all', reason: 'Could not read sharing: ' + e.message });
+    state.permissions.push(entry);
+    return;
+  }
+
+  grants.forEach(grant => {
+    try {
+      revokeAccess(item, grant, state);
+      entry.removed.push(grant);
+    } catch (e) {
+      entry.failed.push(Object.assign({}, grant, { reason: e.message }));
+    }
+  });
+
+  if (entry.removed.length || entry.failed.length) {
+    state.permissions.push(entry);
+  }
+}
+
+/**
+ * Removes one grant (from getSourceGrants) from an item (not in a dry run).
+ * @param {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File} item
+ * @param {object} grant
+ * @param {object} state
+ */
+function revokeAccess(item, grant, state) {
+  if (state.options.dryRun) {
+    return;
+  }
+  withDriveRetry('unshare', () => {
+    switch (grant.role) {
+      case 'editor':
+        return item.removeEditor(grant.email);
+      case 'commenter':
+      case 'viewer':
+        return item.removeViewer(grant.email);
+      case 'link':
+        return item.setSharing(DriveApp.Access.PRIVATE, DriveApp.Permission.NONE);
+    }
+  }, state);
+}
+
+/**
+ * Renames and moves the folder into its destination, or trashes it (not
+ * in a dry run). Trashed folders stay in Drive's trash for 30 days.
+ * @param {object} state
+ */
+function moveOperationFolder(state) {
+  checkJobBudget(state);
+  if (state.options.dryRun) {
+    return;
+  }
+  var folder = withDriveRetry('getFolderById', () => DriveApp.getFolderById(state.sourceFolderId), state);
+  if (state.operation === 'trash') {
+    withDriveRetry('setTrashed', () => folder.setTrashed(true), state);
+    return;
+  }
+  if (folder.getName() !== state.newName) {
+    withDriveRetry('setName', () => folder.setName(state.newName), state);
+  }
+  var destinationFolder = withDriveRetry('getFolderById', () => DriveApp.getFolderById(state.destinationFolderId), state);
+  withDriveRetry('moveTo', () => folder.moveTo(destinationFolder), state);
+}
+
+/**
+ * Builds the report for a finished move, archive or trash job.
+ * @param {object} state - The finished operation state.
+ * @returns {string} JSON string containing the results.
+ */
+function finishFolderOperation(state) {
+  var reportStarted = new Date().getTime();
+  var startTime = new Date(state.startTime);
+  var destinationFolder = null;
+  try {
+    if (state.destinationFolderId) {
+      destinationFolder = DriveApp.getFolderById(state.destinationFolderId);
+    }
+  } catch (e) {
+    console.error("Error in finishFolderOperation: " + e.message);
+  }
+
   var returnData = {
-    success: success,
+    success: state.success,
+    status: null, // Set below
+    operation: state.operation,
     timestamp: startTime.toISOString(),
-    destinationRoot: {
+    folder: state.folder && Object.assign({}, state.folder, {
+      name: state.newName || state.folder.name,
+      previousName: state.folder.name,
+      previousParentIds: state.previousParentIds
+    }),
+    destinationRoot: state.destinationFolderId ? {
       name: destinationFolder ? destinationFolder.getName() : null,
-      id: destinationFolderId,
+      id: state.destinationFolderId,
       url: destinationFolder ? destinationFolder.getUrl() : null
+    } : null,
+    summary: {
+      retries: Object.keys(state.retries).reduce((sum, operation) => sum + state.retries[operation], 0),
+      executionTime: null // Will be added at the end
     },
-    mainFolder: {
-      name: mainFolderName,
-      id: mainFolderId,
-      url: newFolder ? newFolder.getUrl() : null
+    retries: state.retries,
+    errors: state.errors
+  };
+
+  if (state.options.stripSharing) {
+    returnData.permissions = state.permissions;
+    returnData.summary.itemsChecked = state.itemsChecked;
+    returnData.summary.permissionsRemoved = state.permissions.reduce((sum, entry) => sum + entry.removed.length, 0);
+    returnData.summary.permissionsFailed = state.permissions.reduce((sum, entry) => sum + entry.failed.length, 0);
+  }
+
+  if (state.options.dryRun) {
+    returnData.dryRun = true; // Nothing was changed
+  }
+
+  returnData.status = getCopyStatus(returnData);
+  state.timings.report = new Date().getTime() - reportStarted;
+  returnData.summary.phaseTimingsMs = state.timings;
+  returnData.summary.executionTime = ((new Date().getTime() - startTime.getTime()) / 1000).toFixed(2) + ' seconds';
+  return JSON.stringify(returnData, null, 2);
+}
+
+/**
+ * Summarises how far a move, archive or trash job has got.
+ * @param {object} state
+ * @returns {object}
+ */
+function getFolderOperationProgress(state) {
+  return {
+    phase: state.phase,
+    operation: state.operation,
+    itemsChecked: state.itemsChecked,
+    foldersLeft: state.pendingFolders.length
+  };
+}
+
+
+// --- ROLLBACK ---
+// A rollback trashes what a copy created, newest first, so a folder's
+// contents are handled before the folder. Its progress is plain JSON like
+// a copy state, so it checkpoints and resumes: a failed copy rolls back in
+// its 'rollback' phase, and the 'rollback' action queues a rollback job
+// (startCopyJob and friends hand those to the functions below).
+
+/**
+ * Notes an item the copy created, so a rollback can trash it later.
+ * Items are kept in creation order: a folder always comes before its
+ * contents.
+ * @param {object} copyState
+ * @param {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File} item
+ * @param {string} type - 'file' or 'folder'.
+ */
+function recordCreatedItem(copyState, item, type) {
+  if (copyState && copyState.createdItems) {
+    copyState.createdItems[item.getId()] = type;
+  }
+}
+
+/**
+ * Switches a failed or cancelled copy to its 'rollback' phase when its
+ * `onFailure` option asks for it (never in a dry run, which creates
+ * nothing). No reports are saved then, as they'd go into the trash too.
+ * @param {object} copyState
+ */
+function startFailedCopyRollback(copyState) {
+  if (copyState.options.onFailure !== 'rollback' || copyState.options.dryRun) {
+    return;
+  }
+  Logger.log('Copy failed. Rolling back ' + Object.keys(copyState.createdItems).length + ' created items.');
+  copyState.phase = 'rollback';
+  copyState.saveJsonOutput = false;
+  copyState.rollback = createRollbackState(copyState.createdItems, null);
+}
+
+/**
+ * Runs a failed copy's 'rollback' phase until it is done or the deadline
+ * passes. A sync copy has no deadline of its own, so its rollback gets
+ * CONFIG.JOB_TIME_BUDGET_MS from the start of the copy.
+ * @param {object} copyState
+ * @returns {boolean} True when the rollback is finished, false if it paused.
+ */
+function continueFailedCopyRollback(copyState) {
+  var budget = {
+    deadline: copyState.deadline || new Date(copyState.startTime).getTime() + CONFIG.JOB_TIME_BUDGET_MS,
+    retries: {} // (Not the copy's: they'd show up in its report)
+  };
+  try {
+    timePhase(copyState, 'rollback', () => 
+      continueRollback(copyState.rollback, copyState.createdItems, copyState.replacedItems, budget));
+  } catch (error) {
+    if (error.isCheckpoint) {
+      return false;
+    }
+    copyState.rollback.error = error.message;
+    console.error("Error in continueFailedCopyRollback: " + error.message, error.stack);
+  }
+  copyState.phase = 'done';
+  return true;
+}
+
+/**
+ * Queues a rollback job for a copy cancelled while it was paused between
+ * runs, if its `onFailure` asks for one. (A copy cancelled while running
+ * rolls back in its own job; see startFailedCopyRollback.)
+ * @param {object} record - The cancelled job's record, with its state.
+ * @param {object} apiKey - The cancelling request's key.
+ * @returns {object|null} For `record.rollback`: { status: 'queued', jobId },
+ *   { status: 'incomplete', error } if it couldn't be queued, or null.
+ */
+function queueCancelledCopyRollback(record, apiKey) {
+  var copyState = record.state;
+  if (copyState.operation || copyState.options.onFailure !== 'rollback' || copyState.options.dryRun ||
+      !Object.keys(copyState.createdItems || {}).length) {
+    return null;
+  }
+  try {
+    var request = getRollbackJobRequest(record.jobId, copyState.createdItems, copyState.replacedItems || {}, null, 
+      record.request.callbackUrl, apiKey);
+    var rollbackJobId = queueJob(request, apiKey);
+    Logger.log('Job ' + record.jobId + ' cancelled. Rolling it back as job ' + rollbackJobId + '.');
+    return { status: 'queued', jobId: rollbackJobId };
+  } catch (e) {
+    console.error('Could not queue the rollback of cancelled job ' + record.jobId + ': ' + e.message);
+    return { status: 'incomplete', error: 'Could not queue the rollback: ' + e.message };
+  }
+}
+
+/**
+ * Hands the rest of a sync copy's rollback, which ran out of time, to a
+ * rollback job.
+ * @param {object} copyState
+ * @param {object} [apiKey] - The request's key (the job is queued for it).
+ */
+function queueRemainingRollback(copyState, apiKey) {
+  var rollback = copyState.rollback;
+  var ids = Object.keys(copyState.createdItems);
+  var remaining = {};
+  ids.slice(0, ids.length - rollback.done).forEach(id => {
+    remaining[id] = copyState.createdItems[id];
+  });
+  try {
+    if (!apiKey) {
+      throw new Error('No API key to queue a job for.');
+    }
+    rollback.jobId = queueJob(getRollbackJobRequest(null, remaining, copyState.replacedItems, null, null, apiKey), apiKey);
+    Logger.log('Rollback ran out of time. Queued the rest as job ' + rollback.jobId + '.');
+  } catch (e) {
+    rollback.error = 'Ran out of time, and could not queue the rest of the rollback: ' + e.message;
+    console.error(rollback.error);
+  }
+  copyState.phase = 'done';
+}
+
+/**
+ * Queues a job that undoes a finished copy job: it trashes the items the
+ * copy created, as listed in its job record. Items changed since the copy
+ * finished are kept, and so is any folder that still holds something.
+ * @param {string} jobId
+ * @param {string} confirm - Must repeat the jobId.
+ * @param {string} [callbackUrl] - Gets the rollback job's result.
+ * @param {object} apiKey The request's key.
+ * @returns {object} Response data with the rollback job's ID.
+ */
+function rollbackJob(jobId, confirm, callbackUrl, apiKey) {
+  var record = getJobRecordOrThrow(jobId, apiKey);
+  if (['succeeded', 'failed', 'cancelled'].indexOf(record.status) === -1) {
+    throw createApiError('JOB_NOT_FINISHED', 'Job ' + jobId + ' is still ' + record.status + '. Cancel it or wait for it to finish first.', 
+      { jobId: jobId, status: record.status });
+  }
+  var operation = (record.request.options || {}).operation || 'copy';
+  if (operation !== 'copy') {
+    throw createApiError('INVALID_REQUEST', 'Only copy jobs can be rolled back, not ' + operation + ' jobs.', 
+      { field: 'jobId' });
+  }
+  if (!record.createdItems) {
+    throw createApiError('INVALID_REQUEST', 'Job ' + jobId + " has no record of the items it created, so it can't be rolled back.", 
+      { field: 'jobId' });
+  }
+  if (confirm !== jobId) {
+    throw createApiError('CONFIRMATION_REQUIRED', 'Rolling back moves the copied items to the trash. Set confirm to the jobId to go ahead.', 
+      { field: 'confirm' });
+  }
+  if (isRollbackPending(record)) {
+    throw createApiError('JOB_NOT_FINISHED', 'Job ' + jobId + ' is already being rolled back by job ' + record.rollback.jobId + '.', 
+      { jobId: record.rollback.jobId, status: record.rollback.status });
+  }
+
+  var since = new Date(record.finishedAt).getTime() + CONFIG.ROLLBACK_CHANGE_GRACE_MS;
+  var request = getRollbackJobRequest(jobId, record.createdItems, record.replacedItems || {}, since, callbackUrl, apiKey);
+  var rollbackJobId = queueJob(request, apiKey);
+  record.rollback = { status: 'queued', jobId: rollbackJobId };
+  saveJobRecord(record);
+
+  return {
+    success: true,
+    jobId: rollbackJobId,
+    rollbackOf: jobId,
+    message: 'Rollback queued. Check its progress with the status action.'
+  };
+}
+
+/**
+ * @param {object} record - A copy job's record.
+ * @returns {boolean} True if a rollback job for it is queued or running.
+ */
+function isRollbackPending(record) {
+  if (!record.rollback || record.rollback.status !== 'queued') {
+    return false;
+  }
+  // (A rollback job cancelled while still queued never reports back.)
+  var rollbackRecord = loadJobRecord(record.rollback.jobId);
+  return !!rollbackRecord && ['queued', 'running', 'paused'].indexOf(rollbackRecord.status) !== -1;
+}
+
+/**
+ * Builds the job request for a rollback job (see getJobRequest).
+ * @param {string|null} rollbackOf - The copy job it undoes (null for the
+ *   rest of a sync copy's rollback).
+ * @param {object} createdItems - Maps item IDs to 'file' or 'folder'.
+ * @param {object} replacedItems - Maps new file IDs to the files they replaced.
+ * @param {number|null} since - See createRollbackState.
+ * @param {string} [callbackUrl]
+ * @param {object} apiKey
+ * @returns {object}
+ */
+function getRollbackJobRequest(rollbackOf, createdItems, replacedItems, since, callbackUrl, apiKey) {
+  return {
+    sourceFolderId: null,
+    destinationFolderId: null,
+    newFolderName: null,
+    saveJsonOutput: false,
+    options: {
+      operation: 'rollback',
+      rollbackOf: rollbackOf,
+      createdItems: createdItems,
+      replacedItems: replacedItems,
+      since: since
     },
+    callbackUrl: callbackUrl || null,
+    priority: 'normal',
+    apiKeyName: apiKey.name,
+    requestTimestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Creates the state for a rollback job. Like a copy state, it's plain
+ * JSON, so it can be checkpointed between runs.
+ * @param {object} options - From getRollbackJobRequest.
+ * @returns {object} The rollback job state.
+ */
+function startRollbackJob(options) {
+  return {
+    operation: 'rollback',
+    rollbackOf: options.rollbackOf,
+    options: options,
+    startTime: new Date().toISOString(),
+    success: true,
+    errors: [],
+    phase: 'rollback', // 'rollback' -> 'done'
+    timings: {},
+    retries: {},
+    rollback: createRollbackState(options.createdItems, options.since)
+  };
+}
+
+/**
+ * Works through a rollback job until it is done or `state.deadline`
+ * passes (see continueCopyJob).
+ * @param {object} state - From startRollbackJob or a checkpoint.
+ * @returns {boolean} True when the rollback is finished, false if it paused.
+ */
+function continueRollbackJob(state) {
+  if (state.phase === 'done') {
+    return true;
+  }
+
+  try {
+    timePhase(state, 'rollback', () => 
+      continueRollback(state.rollback, state.options.createdItems, state.options.replacedItems, state));
+    state.phase = 'done';
+
+  } catch (error) {
+    if (error.isCheckpoint) {
+      return false;
+    }
+    if (error.isCancellation) {
+      state.cancelled = true;
+    }
+    state.success = false;
+    state.phase = 'done';
+    state.errors.push(createReportError(error, error.isCancellation ? 'JOB_CANCELLED' : 'OPERATION_FAILED'));
+    console.error("Error in continueRollbackJob: " + error.message, error.stack);
+  }
+
+  return true;
+}
+
+/**
+ * Builds the final report for a finished rollback job, and stores the
+ * outcome as the rolled-back job's `rollback`.
+ * @param {object} state - The finished rollback job state.
+ * @returns {string} JSON string containing the rollback results.
+ */
+function finishRollbackJob(state) {
+  var outcome = describeRollback(state.rollback);
+  var returnData = {
+    success: state.success && outcome.status === 'complete',
+    status: outcome.status,
+    timestamp: state.startTime,
+    rollbackOf: state.rollbackOf,
     summary: {
-      totalFiles: totalFiles,
-      totalSize: totalSize,
-      totalSizeHuman: formatBytes(totalSize),
-      folderCount: Object.keys(folderIdMap).length,
-      executionTime: null // Will be added at the end
+      trashed: outcome.trashed.length,
+      kept: outcome.kept.length,
+      failed: outcome.failed.length,
+      restored: outcome.restored.length,
+      filesCreated: 0,
+      executionTime: ((new Date().getTime() - new Date(state.startTime).getTime()) / 1000).toFixed(2) + ' seconds',
+      phaseTimingsMs: state.timings
     },
-    folderStructure: folderStructure,
-    errors: errors
+    trashed: outcome.trashed,
+    kept: outcome.kept,
+    failed: outcome.failed,
+    restored: outcome.restored,
+    retries: state.retries,
+    errors: state.errors
+  };
+
+  if (state.rollbackOf) {
+    try {
+      var record = loadJobRecord(state.rollbackOf);
+      if (record) {
+        record.rollback = Object.assign(outcome, { jobId: state.jobId });
+        saveJobRecord(record);
+      }
+    } catch (e) {
+      console.error('Could not save the rollback of job ' + state.rollbackOf + ': ' + e.message);
+    }
+  }
+  return JSON.stringify(returnData, null, 2);
+}
+
+/**
+ * Summarises how far a rollback job has got.
+ * @param {object} state
+ * @returns {object}
+ */
+function getRollbackProgress(state) {
+  return {
+    phase: state.phase,
+    operation: state.operation,
+    itemsDone: state.rollback.done,
+    itemsTotal: state.rollback.total
+  };
+}
+
+/**
+ * Creates a rollback's progress: how many of the created items have been
+ * handled so far, and what happened to them.
+ * @param {object} createdItems - Maps item IDs to 'file' or 'folder'.
+ * @param {number|null} since - Time (ms) after which a change to a file
+ *   keeps it. Null trashes files however recently they changed.
+ * @returns {object}
+ */
+function createRollbackState(createdItems, since) {
+  return {
+    since: since,
+    total: Object.keys(createdItems).length,
+    done: 0,
+    trashed: [],
+    kept: [],
+    failed: [],
+    restored: []
+  };
+}
+
+/**
+ * Works through a rollback, newest item first, until every item has been
+ * handled. Throws a checkpoint (or cancellation) signal from
+ * checkJobBudget; calling this again with the same rollback carries on.
+ * @param {object} rollback - From createRollbackState.
+ * @param {object} createdItems - Maps item IDs to 'file' or 'folder'.
+ * @param {object} replacedItems - Maps new file IDs to the files they replaced.
+ * @param {object} budget - A state with the `deadline` and `retries` to
+ *   keep to (and a `jobId` if cancelling it should stop the rollback).
+ */
+function continueRollback(rollback, createdItems, replacedItems, budget) {
+  var ids = Object.keys(createdItems);
+  while (rollback.done < ids.length) {
+    checkJobBudget(budget);
+    var id = ids[ids.length - 1 - rollback.done];
+    rollbackCreatedItem(id, createdItems[id], replacedItems[id], rollback, budget);
+    rollback.done++;
+  }
+}
+
+/**
+ * Trashes one created item, unless it has changed (files) or still holds
+ * anything (folders: their created contents have been handled by now).
+ * A file that replaced a target file (update mode) brings that file back
+ * out of the trash. Each step can safely be repeated on resume.
+ * @param {string} id
+ * @param {string} type - 'file' or 'folder'.
+ * @param {string} [replacedId] - The target file the item replaced.
+ * @param {object} rollback - From createRollbackState.
+ * @param {object} budget - See continueRollback.
+ */
+function rollbackCreatedItem(id, type, replacedId, rollback, budget) {
+  var item;
+  try {
+    item = withDriveRetry('getById', () => type === 'folder' ? DriveApp.getFolderById(id) : DriveApp.getFileById(id), budget);
+  } catch (e) {
+    if (e.isCheckpoint) {
+      throw e;
+    }
+    rollback.kept.push({ type: type, id: id, name: null, reason: 'Not found (already deleted?)' });
+    return;
+  }
+
+  var entry = { type: type, id: id, name: null };
+  try {
+    entry.name = item.getName();
+    if (!item.isTrashed()) {
+      var keepReason = type === 'folder' ? 
+        (hasUntrashedChildren(item, budget) ? 'Holds items the job did not create or that have changed' : null) : 
+        (isUnchangedSince(item, rollback.since) ? null : 'Changed since the job finished');
+      if (keepReason) {
+        rollback.kept.push(Object.assign(entry, { reason: keepReason }));
+        return;
+      }
+      withDriveRetry('setTrashed', () => item.setTrashed(true), budget);
+      rollback.trashed.push(entry);
+    }
+  } catch (e) {
+    if (e.isCheckpoint) {
+      throw e;
+    }
+    console.error('Rollback could not trash ' + type + ' ' + id + ': ' + e.message);
+    rollback.failed.push(Object.assign(entry, { error: e.message }));
+    return;
+  }
+  if (replacedId) {
+    restoreReplacedFile(replacedId, rollback, budget);
+  }
+}
+
+/**
+ * @param {GoogleAppsScript.Drive.Folder} folder
+ * @param {object} budget - See continueRollback.
+ * @returns {boolean} True if anything in the folder is not in the trash.
+ */
+function hasUntrashedChildren(folder, budget) {
+  return [
+    withDriveRetry('getFolders', () => folder.getFolders(), budget),
+    withDriveRetry('getFiles', () => folder.getFiles(), budget)
+  ].some(children => {
+    while (children.hasNext()) {
+      if (!children.next().isTrashed()) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+/**
+ * @param {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File} item
+ * @param {number|null} since - Time in ms, or null for "always unchanged".
+ * @returns {boolean}
+ */
+function isUnchangedSince(item, since) {
+  return since === null || item.getLastUpdated().getTime() <= since;
+}
+
+/**
+ * Takes a target file that an update replaced back out of the trash
+ * (if it's still there).
+ * @param {string} fileId
+ * @param {object} rollback - From createRollbackState.
+ * @param {object} budget - See continueRollback.
+ */
+function restoreReplacedFile(fileId, rollback, budget) {
+  var entry = { type: 'file', id: fileId, name: null };
+  try {
+    var file = withDriveRetry('getFileById', () => DriveApp.getFileById(fileId), budget);
+    entry.name = file.getName();
+    if (file.isTrashed()) {
+      withDriveRetry('setTrashed', () => file.setTrashed(false), budget);
+      rollback.restored.push(entry);
+    }
+  } catch (e) {
+    if (e.isCheckpoint) {
+      throw e;
+    }
+    console.error('Rollback could not restore replaced file ' + fileId + ': ' + e.message);
+    rollback.failed.push(Object.assign(entry, { error: 'Could not restore the replaced file: ' + e.message }));
+  }
+}
+
+/**
+ * Describes a rollback's outcome: 'complete' if every item was handled,
+ * 'partial' if some couldn't be trashed or restored, 'queued' if the rest
+ * was handed to a rollback job (`jobId`), and 'incomplete' if it stopped
+ * early (`error`).
+ * @param {object} rollback - From createRollbackState.
+ * @returns {object}
+ */
+function describeRollback(rollback) {
+  var status = rollback.done < rollback.total ? (rollback.jobId ? 'queued' : 'incomplete') : 
+    (rollback.failed.length ? 'partial' : 'complete');
+  var outcome = { status: status, rolledBackAt: new Date().toISOString() };
+  if (rollback.jobId) {
+    outcome.jobId = rollback.jobId;
+  }
+  if (rollback.error) {
+    outcome.error = rollback.error;
+  }
+  return Object.assign(outcome, {
+    trashed: rollback.trashed,
+    kept: rollback.kept,
+    failed: rollback.failed,
+    restored: rollback.restored
+  });
+}
+
+
+// --- REPORT FORMATS ---
+// Besides the nested JSON report, a request can ask for other shapes of
+// the same result (`reportFormats`), built from the copy's folder structure.
+
+/**
+ * Builds the requested report formats other than JSON.
+ * @param {object} returnData - The copy report, before its report files are added.
+ * @param {string[]} formats - The request's `reportFormats`.
+ * @returns {object} Maps each format to its content: `paths` is an object,
+ *   `sheet` a list of rows, the others text.
+ */
+function buildReports(returnData, formats) {
+  var reports = {};
+  var rows = formats.some(format => format === 'csv' || format === 'sheet') ? getManifestRows(returnData.folderStructure) : null;
+  formats.forEach(format => {
+    switch (format) {
+      case 'paths':
+        reports.paths = buildPathMap(returnData.folderStructure);
+        break;
+      case 'csv':
+        reports.csv = toCsv(rows);
+        break;
+      case 'markdown':
+        reports.markdown = buildMarkdownIndex(returnData);
+        break;
+      case 'html':
+        reports.html = buildHtmlIndex(returnData);
+        break;
+      case 'sheet':
+        reports.sheet = rows;
+        break;
+    }
+  });
+  return reports;
+}
+
+/**
+ * Walks a folder structure, calling `fn` for every folder (itself
+ * included) and file with its full path. Paths are built from the
+ * structure's keys, so items sharing a name ("name [id]") keep apart.
+ * @param {object} folderStructure
+ * @param {Function} fn - Called with (type, path, entry).
+ */
+function walkFolderStructure(folderStructure, fn) {
+  (function walk(node, path) {
+    fn('folder', path, node);
+    Object.keys(node.files).forEach(key => fn('file', path + '/' + key, node.files[key]));
+    Object.keys(node.subFolders).forEach(key => walk(node.subFolders[key], path + '/' + key));
+  })(folderStructure, folderStructure.name);
+}
+
+/**
+ * @param {object} folderStructure
+ * @returns {object} Maps every path, e.g. "My Copy/Assets/logo.png", to
+ *   the item's { id, url, mimeType }.
+ */
+function buildPathMap(folderStructure) {
+  var paths = {};
+  walkFolderStructure(folderStructure, (type, path, entry) => {
+    paths[path] = { id: entry.id, url: entry.url, mimeType: type === 'folder' ? MimeType.FOLDER : entry.mimeType };
+  });
+  return paths;
+}
+
+/**
+ * @param {object} folderStructure
+ * @returns {Array[]} The manifest for the `csv` and `sheet` formats: a
+ *   header row, then one row per folder and file.
+ */
+function getManifestRows(folderStructure) {
+  var rows = [['type', 'path', 'name', 'id', 'url', 'mimeType', 'size', 'createdTime']];
+  walkFolderStructure(folderStructure, (type, path, entry) => {
+    rows.push(type === 'folder'
+      ? [type, path, entry.name, entry.id, entry.url, MimeType.FOLDER, '', '']
+      : [type, path, entry.name, entry.id, entry.url, entry.mimeType, entry.size, entry.createdTime]);
+  });
+  return rows;
+}
+
+/**
+ * @param {Array[]} rows
+ * @returns {string} The rows as CSV (RFC 4180).
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(value => {
+    var text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {object} returnData - The copy report.
+ * @returns {string} One line summing up the copy, for the index pages.
+ */
+function describeCopy(returnData) {
+  var summary = returnData.summary;
+  return (returnData.dryRun ? 'Planned (dry run) ' : 'Copied ') + returnData.timestamp + ': ' + 
+    summary.totalFiles + ' files in ' + summary.folderCount + ' folders (' + summary.totalSizeHuman + '). Status: ' + 
+    getCopyStatus(returnData) + '.';
+}
+
+/**
+ * @param {object} returnData - The copy report.
+ * @returns {string} A Markdown page listing the copy as nested links.
+ */
+function buildMarkdownIndex(returnData) {
+  var escape = text => String(text).replace(/([\\`*_[\]<>])/g, '\\$1');
+  var link = entry => (entry.url ? '[' + escape(entry.name) + '](' + entry.url + ')' : escape(entry.name));
+  var lines = ['# ' + escape(returnData.folderStructure.name), '', describeCopy(returnData), ''];
+  (function walk(node, indent) {
+    Object.keys(node.files).forEach(key => lines.push(indent + '- ' + link(node.files[key])));
+    Object.keys(node.subFolders).forEach(key => {
+      lines.push(indent + '- **' + link(node.subFolders[key]) + '/**');
+      walk(node.subFolders[key], indent + '  ');
+    });
+  })(returnData.folderStructure, '');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {object} returnData - The copy report.
+ * @returns {string} A standalone HTML page listing the copy as nested links.
+ */
+function buildHtmlIndex(returnData) {
+  var link = entry => (entry.url ? '<a href="' + escapeHtml(entry.url) + '">' + escapeHtml(entry.name) + '</a>' : escapeHtml(entry.name));
+  var list = node => {
+    var entries = Object.keys(node.files).map(key => '<li>' + link(node.files[key]) + '</li>')
+      .concat(Object.keys(node.subFolders).map(key => 
+        '<li><strong>' + link(node.subFolders[key]) + '/</strong>' + list(node.subFolders[key]) + '</li>'));
+    return entries.length ? '<ul>' + entries.join('') + '</ul>' : '';
+  };
+  var title = escapeHtml(returnData.folderStructure.name);
+  return '<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"><title>' + title + '</title></head>\n<body>\n' + 
+    '<h1>' + link(returnData.folderStructure) + '</h1>\n<p>' + escapeHtml(describeCopy(returnData)) + '</p>\n' + 
+    list(returnData.folderStructure) + '\n</body>\n</html>\n';
+}
+
+/**
+ * Saves the built report formats into the report folder, reusing the files
+ * of an earlier run when updating a copy (see findUpdatedReportFile).
+ * Failures don't stop the others; they are added to the report's errors.
+ * @param {object} reports - From buildReports.
+ * @param {GoogleAppsScript.Drive.Folder} reportFolder
+ * @param {object} returnData - The copy report.
+ * @param {object} copyState
+ * @returns {object[]} { format, name, id, url } for each saved file.
+ */
+function saveReportFiles(reports, reportFolder, returnData, copyState) {
+  var saved = [];
+  Object.keys(reports).forEach(format => {
+    try {
+      var file = format === 'sheet'
+        ? writeReportSheet(reports.sheet, reportFolder, returnData.timestamp, copyState)
+        : writeReportFile(reportFolder, getReportFileName(format, copyState), 
+            format === 'paths' ? JSON.stringify(reports.paths, null, 2) : reports[format], CONFIG.REPORT_FORMATS[format].mimeType, copyState);
+      saved.push({ format: format, name: file.getName(), id: file.getId(), url: file.getUrl() });
+    } catch (e) {
+      var saveError = 'Failed to save the ' + format + ' report: ' + e.message;
+      console.error(saveError);
+      returnData.errors.push(createReportError(e, 'REPORT_SAVE_FAILED', saveError));
+      returnData.success = false;
+    }
+  });
+  return saved;
+}
+
+/**
+ * @param {GoogleAppsScript.Drive.Folder} folder
+ * @param {string} name
+ * @param {string} content
+ * @param {string} mimeType
+ * @param {object} copyState
+ * @returns {GoogleAppsScript.Drive.File} The file, created or overwritten.
+ */
+function writeReportFile(folder, name, content, mimeType, copyState) {
+  var existing = findUpdatedReportFile(folder, name, copyState);
+  if (existing) {
+    return existing.setContent(content);
+  }
+  var file = folder.createFile(name, content, mimeType);
+  recordCreatedItem(copyState, file, 'file');
+  return file;
+}
+
+/**
+ * Writes the manifest rows into a Google Sheet in the report folder, or,
+ * with `reportSheetId`, appends them to that spreadsheet's first sheet as
+ * a log across copies (with a `copiedAt` column in front). Cells are
+ * plain text, so names starting with "=" don't become formulas.
+ * @param {Array[]} rows - From getManifestRows.
+ * @param {GoogleAppsScript.Drive.Folder} folder
+ * @param {string} timestamp - When the copy started.
+ * @param {object} copyState
+ * @returns {GoogleAppsScript.Drive.File} The spreadsheet.
+ */
+function writeReportSheet(rows, folder, timestamp, copyState) {
+  var sheetId = copyState.options.reportSheetId;
+  var spreadsheet;
+  if (sheetId) {
+    var log = SpreadsheetApp.openById(sheetId).getSheets()[0];
+    var logRows = rows.slice(1).map(row => [timestamp].concat(row));
+    if (log.getLastRow() === 0) {
+      logRows.unshift(['copiedAt'].concat(rows[0]));
+    }
+    log.getRange(log.getLastRow() + 1, 1, logRows.length, logRows[0].length).setNumberFormat('@').setValues(logRows);
+    return DriveApp.getFileById(sheetId);
+  }
+
+  var name = getReportFileName('sheet', copyState);
+  var existing = findUpdatedReportFile(folder, name, copyState);
+  if (existing) {
+    spreadsheet = SpreadsheetApp.openById(existing.getId());
+    spreadsheet.getSheets()[0].clearContents();
+  } else {
+    spreadsheet = SpreadsheetApp.create(name);
+    recordCreatedItem(copyState, DriveApp.getFileById(spreadsheet.getId()).moveTo(folder), 'file');
+  }
+  spreadsheet.getSheets()[0].getRange(1, 1, rows.length, rows[0].length).setNumberFormat('@').setValues(rows);
+  return DriveApp.getFileById(spreadsheet.getId());
+}
+
+/**
+ * Report files in a separate `reportFolderId` get the main folder's name
+ * and ID in front. The ID keeps apart copies that share a name; an update
+ * of a copy keeps its ID, so it finds its earlier reports.
+ * @param {string} format - 'json' or a key of CONFIG.REPORT_FORMATS.
+ * @param {object} copyState
+ * @returns {string}
+ */
+function getReportFileName(format, copyState) {
+  var name = format === 'json' ? CONFIG.JSON_REPORT_FILENAME : CONFIG.REPORT_FORMATS[format].fileName;
+  return copyState.options.reportFolderId ? copyState.mainFolderName + ' (' + copyState.mainFolderId + ')' + name : name;
+}
+
+/**
+ * In update mode, finds the report file an earlier copy into the same
+ * target saved under this name, to be overwritten. A new copy always
+ * creates its own files (and records them as created).
+ * @param {GoogleAppsScript.Drive.Folder} folder - The report folder.
+ * @param {string} name - From getReportFileName.
+ * @param {object} copyState
+ * @returns {GoogleAppsScript.Drive.File|null}
+ */
+function findUpdatedReportFile(folder, name, copyState) {
+  if (copyState.options.mode !== 'update') {
+    return null;
+  }
+  var existing = folder.getFilesByName(name);
+  return existing.hasNext() ? existing.next() : null;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} True for the names report files are saved under in
+ *   the new folder (these are never orphans).
+ */
+function isReportFileName(name) {
+  return name === CONFIG.JSON_REPORT_FILENAME || 
+    Object.keys(CONFIG.REPORT_FORMATS).some(format => CONFIG.REPORT_FORMATS[format].fileName === name);
+}
+
+
+// --- DESTINATION OPERATIONS (Real or Dry Run) ---
+// The copy traversal creates and opens destination items only through
+// these helpers. In a dry run they return planned stand-ins instead, so
+// the same traversal produces a plan without touching Drive. When a Shared
+// Drive is involved, they create items through the Drive API (see
+// usesSharedDrives), as DriveApp doesn't handle every Shared Drive case.
+
+/**
+ * Creates the copy of a source folder inside a destination folder.
+ * @param {GoogleAppsScript.Drive.Folder} sourceFolder
+ * @param {GoogleAppsScript.Drive.Folder} parentFolder - Where to create it.
+ * @param {string} name
+ * @param {object} copyState
+ * @returns {GoogleAppsScript.Drive.Folder|object} The new (or planned) folder.
+ */
+function createDestinationFolder(sourceFolder, parentFolder, name, copyState) {
+  if (copyState.options.dryRun) {
+    return createPlannedItem('planned-' + sourceFolder.getId(), name, null);
+  }
+  var newFolder;
+  try {
+    if (usesSharedDrives(copyState)) {
+      var created = withDriveRetry('createFolder', () => Drive.Files.create({
+        name: name,
+        mimeType: MimeType.FOLDER,
+        parents: [parentFolder.getId()]
+      }, null, { supportsAllDrives: true, fields: 'id' }), copyState, 
+        findCreatedItem(() => parentFolder.getFoldersByName(name), copyState, item => ({ id: item.getId() })));
+      newFolder = withDriveRetry('getFolderById', () => DriveApp.getFolderById(created.id), copyState);
+    } else {
+      newFolder = withDriveRetry('createFolder', () => parentFolder.createFolder(name), copyState, 
+        findCreatedItem(() => parentFolder.getFoldersByName(name), copyState));
+    }
+  } catch (e) {
+    throw toSharedDriveLimitError(e, copyState);
+  }
+  recordCreatedItem(copyState, newFolder, 'folder');
+  return newFolder;
+}
+
+/**
+ * Opens a destination folder created earlier in this copy.
+ * @param {string} folderId
+ * @param {object} copyState
+ * @returns {GoogleAppsScript.Drive.Folder|object}
+ */
+function openDestinationFolder(folderId, copyState) {
+  if (copyState.options.dryRun && isPlannedId(folderId)) {
+    return createPlannedItem(folderId, null, null);
+  }
+  return withDriveRetry('getFolderById', () => DriveApp.getFolderById(folderId), copyState);
+}
+
+/**
+ * Copies a source file into a destination folder. With `shortcuts:
+ * "retarget"`, a shortcut whose target was copied too gets a new shortcut
+ * to the copy; other shortcuts are copied as they are.
+ * @param {GoogleAppsScript.Drive.File} file
+ * @param {GoogleAppsScript.Drive.Folder} destinationFolder
+ * @param {string} name
+ * @param {object} copyState
+ * @returns {GoogleAppsScript.Drive.File|object} The new (or planned) file.
+ */
+function copyFileTo(file, destinationFolder, name, copyState) {
+  var newTargetId = getCopiedShortcutTarget(file, copyState);
+  if (copyState.options.dryRun) {
+    return createPlannedItem('planned-' + file.getId(), name, file);
+  }
+  checkFileQuota(copyState);
+  var newFile;
+  try {
+    var findCopy = toResult => findCreatedItem(() => destinationFolder.getFilesByName(name), copyState, toResult);
+    if (newTargetId) {
+      newFile = withDriveRetry('createShortcut', () => destinationFolder.createShortcut(newTargetId), copyState, 
+        findCreatedItem(() => destinationFolder.getFilesByType(MimeType.SHORTCUT), copyState, 
+          item => (item.getTargetId() === newTargetId ? item : null)));
+      withDriveRetry('setName', () => newFile.setName(name), copyState);
+    } else if (usesSharedDrives(copyState)) {
+      var copied = withDriveRetry('makeCopy', () => Drive.Files.copy({
+        name: name,
+        parents: [destinationFolder.getId()]
+      }, file.getId(), { supportsAllDrives: true, fields: 'id' }), copyState, findCopy(item => ({ id: item.getId() })));
+      newFile = withDriveRetry('getFileById', () => DriveApp.getFileById(copied.id), copyState);
+    } else {
+      newFile = withDriveRetry('makeCopy', () => file.makeCopy(name, destinationFolder), copyState, findCopy());
+    }
+  } catch (e) {
+    throw toSharedDriveLimitError(e, copyState);
+  }
+  recordCreatedItem(copyState, newFile, 'file');
+  copyState.filesCreated = (copyState.filesCreated || 0) + 1;
+  return newFile;
+}
+
+/**
+ * Moves a destination item to the trash (not in a dry run).
+ * @param {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File} item
+ * @param {object} copyState
+ */
+function trashDestinationItem(item, copyState) {
+  if (!copyState.options.dryRun) {
+    withDriveRetry('setTrashed', () => item.setTrashed(true), copyState);
+  }
+}
+
+/**
+ * @param {GoogleAppsScript.Drive.File} file
+ * @returns {boolean}
+ */
+function isShortcut(file) {
+  return file.getMimeType() === MimeType.SHORTCUT;
+}
+
+/**
+ * @param {GoogleAppsScript.Drive.File} file
+ * @param {object} copyState
+ * @returns {string|null} For a shortcut to re-point (`shortcuts:
+ *   "retarget"`), the ID of its target's copy; null if it has none.
+ */
+function getCopiedShortcutTarget(file, copyState) {
+  if (copyState.options.shortcuts !== 'retarget' || !isShortcut(file)) {
+    return null;
+  }
+  var targetId = file.getTargetId();
+  return copyState.copiedFiles[targetId] || copyState.folderMap[targetId] || null;
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} True for the IDs a dry run gives planned items.
+ */
+function isPlannedId(id) {
+  return id.indexOf('planned-') === 0;
+}
+
+/**
+ * A stand-in for a folder or file that a dry run would create. It has the
+ * getters the copy traversal reads; size and MIME type come from the source.
+ * @param {string} plannedId - "planned-<source ID>"
+ * @param {string|null} name
+ * @param {GoogleAppsScript.Drive.File|null} sourceFile - For planned files.
+ * @returns {object}
+ */
+function createPlannedItem(plannedId, name, sourceFile) {
+  return {
+    getId: () => plannedId,
+    getName: () => name,
+    getUrl: () => null,
+    getSize: () => (sourceFile ? sourceFile.getSize() : 0),
+    getMimeType: () => (sourceFile ? sourceFile.getMimeType() : MimeType.FOLDER),
+    getDateCreated: () => null
+  };
+}
+
+/**
+ * Roughly estimates how long the planned copy would take, from the
+ * per-item timings in CONFIG.
+ * @param {number} folderCount
+ * @param {number} fileCount
+ * @returns {object} Summary fields for a dry-run report.
+ */
+function estimateCopyTime(folderCount, fileCount) {
+  var estimateMs = folderCount * CONFIG.ESTIMATE_MS_PER_FOLDER + fileCount * CONFIG.ESTIMATE_MS_PER_FILE;
+  return {
+    estimatedExecutionTime: Math.round(estimateMs / 1000) + ' seconds',
+    fitsInSyncMode: estimateMs <= CONFIG.SYNC_MODE_SAFE_LIMIT_MS
+  };
+}
+
+
+// --- DRIVE RETRIES ---
+
+/**
+ * Runs a Drive call, retrying it with exponential backoff if it fails
+ * with a transient error. Permanent errors (not found, no access...) and
+ * the last failed attempt are thrown as usual. If the next wait would run
+ * past the job's deadline, a checkpoint signal is thrown instead, so an
+ * async job pauses and retries the call on its next run.
+ * Calls that create an item must pass `findCreated`: a transient error
+ * doesn't say whether the item was made, so before each retry (and
+ * before giving up) it is looked for, and returned if found.
+ * @param {string} operation - Name of the call, for logs and the report.
+ * @param {Function} fn - The Drive call.
+ * @param {object} copyState
+ * @param {Function} [findCreated] - Returns what `fn` would have, if a
+ *   failed attempt created the item anyway (see findCreatedItem), or null.
+ * @returns {*} Whatever `fn` returns.
+ */
+function withDriveRetry(operation, fn, copyState, findCreated) {
+  for (var attempt = 1; ; attempt++) {
+    try {
+      if (attempt > 1 && findCreated) {
+        var created = findCreated();
+        if (created) {
+          console.warn('Drive ' + operation + ' went through despite the error. Not trying again.');
+          return created;
+        }
+      }
+      return fn();
+    } catch (e) {
+      if (!isTransientDriveError(e)) {
+        throw e;
+      }
+      if (attempt >= CONFIG.DRIVE_RETRY_MAX_ATTEMPTS) {
+        if (findCreated) {
+          var madeAnyway = findCreated();
+          if (madeAnyway) {
+            return madeAnyway;
+          }
+        }
+        e.message += ' (gave up after ' + (attempt - 1) + ' retries)';
+        throw e;
+      }
+      var delay = Math.min(CONFIG.DRIVE_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1), CONFIG.DRIVE_RETRY_MAX_DELAY_MS);
+      delay += Math.floor(Math.random() * CONFIG.DRIVE_RETRY_BASE_DELAY_MS / 4); // Jitter
+      if (copyState.deadline && new Date().getTime() + delay >= copyState.deadline) {
+        var checkpoint = new Error('Time budget reached while retrying ' + operation + '. The job will resume on the next run.');
+        checkpoint.isCheckpoint = true;
+        throw checkpoint;
+      }
+      copyState.retries[operation] = (copyState.retries[operation] || 0) + 1;
+      console.warn('Drive ' + operation + ' failed (attempt ' + attempt + '): ' + e.message + 
+                   '. Retrying in ' + delay + 'ms.');
+      Utilities.sleep(delay);
+    }
+  }
+}
+
+/**
+ * Builds a `findCreated` lookup for withDriveRetry. It finds an item that
+ * this copy hasn't recorded (see recordCreatedItem) and that was made
+ * since the lookup was built, so an item with the same name from before
+ * (or made earlier in this copy) is never mistaken for the new one.
+ * @param {Function} listItems - Lists the candidates, e.g.
+ *   `() => folder.getFilesByName(name)`.
+ * @param {object} copyState
+ * @param {Function} [toResult] - Turns the item into what the create call
+ *   returns (e.g. `{ id }` for the Drive API), or null to pass it over.
+ * @returns {Function}
+ */
+function findCreatedItem(listItems, copyState, toResult) {
+  var since = new Date().getTime() - CONFIG.DRIVE_CREATE_LOOKUP_SLACK_MS;
+  return () => {
+    var items = listItems();
+    while (items.hasNext()) {
+      var item = items.next();
+      if (item.isTrashed() || (copyState.createdItems || {})[item.getId()] || item.getDateCreated().getTime() < since) {
+        continue;
+      }
+      var result = toResult ? toResult(item) : item;
+      if (result) {
+        return result;
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Tells transient Drive errors (worth retrying) from permanent ones.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTransientDriveError(error) {
+  var message = String(error && error.message);
+  if (/not found|access denied|permission|invalid argument|storage quota|for one day/i.test(message)) {
+    return false;
+  }
+  return /service error|rate limit|too many requests|backend error|internal error|server error|timed? ?out|try again|temporarily|unavailable/i.test(message);
+}
+
+/**
+ * Lists a folder's subfolders, retrying transient errors.
+ * @param {GoogleAppsScript.Drive.Folder} folder
+ * @param {object} copyState
+ * @returns {GoogleAppsScript.Drive.Folder[]}
+ */
+function listSubfolders(folder, copyState) {
+  return withDriveRetry('getFolders', () => iteratorToArray(folder.getFolders()), copyState);
+}
+
+/**
+ * Lists a folder's files, retrying transient errors.
+ * @param {GoogleAppsScript.Drive.Folder} folder
+ * @param {object} copyState
+ * @returns {GoogleAppsScript.Drive.File[]}
+ */
+function listFiles(folder, copyState) {
+  return withDriveRetry('getFiles', () => iteratorToArray(folder.getFiles()), copyState);
+}
+
+/**
+ * @param {GoogleAppsScript.Drive.FolderIterator|GoogleAppsScript.Drive.FileIterator} iterator
+ * @returns {Array}
+ */
+function iteratorToArray(iterator) {
+  var items = [];
+  while (iterator.hasNext()) {
+    items.push(iterator.next());
+  }
+  return items;
+}
+
+
+// --- UPDATE MODE ---
+
+/**
+ * Finds an item that already exists in the target (update mode only).
+ * @param {GoogleAppsScript.Drive.Folder|object} destinationFolder
+ * @param {string} name
+ * @param {boolean} isFolder
+ * @param {object} copyState
+ * @param {object} currentStructure - The destination folder's structure node.
+ * @returns {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File|null}
+ */
+function findExistingItem(destinationFolder, name, isFolder, copyState, currentStructure) {
+  if (!copyState.changes || isPlannedId(destinationFolder.getId())) {
+    return null; // Copy mode, or a folder a dry run has only planned
+  }
+  // Items already matched to another source item (same name) are taken
+  var entries = isFolder ? currentStructure.subFolders : currentStructure.files;
+  var takenIds = Object.keys(entries).map(key => entries[key].id);
+  return withDriveRetry(isFolder ? 'getFoldersByName' : 'getFilesByName', () => {
+    var items = isFolder ? destinationFolder.getFoldersByName(name) : destinationFolder.getFilesByName(name);
+    while (items.hasNext()) {
+      var item = items.next();
+      if (!item.isTrashed() && takenIds.indexOf(item.getId()) === -1) {
+        return item;
+      }
+    }
+    return null;
+  }, copyState);
+}
+
+/**
+ * Records an update-mode change for the report.
+ * @param {object} copyState
+ * @param {string} change - 'added', 'updated', 'skipped' or 'removed'
+ * @param {string} type - 'file' or 'folder'
+ * @param {string} path - The item's path in the target.
+ * @param {string} id - The item's ID in the target.
+ * @param {string} [reason]
+ */
+function recordChange(copyState, change, type, path, id, reason) {
+  if (!copyState.changes) {
+    return;
+  }
+  var entry = { type: type, path: path, id: id };
+  if (reason) {
+    entry.reason = reason;
+  }
+  copyState.changes[change].push(entry);
+}
+
+/**
+ * Keeps the target's copy of a filtered-out source item from being
+ * treated as an orphan: leaving something out of a sync shouldn't delete it.
+ * @param {GoogleAppsScript.Drive.Folder|object} destinationFolder
+ * @param {string} sourceName
+ * @param {object} copyState
+ */
+function protectFromOrphanRemoval(destinationFolder, sourceName, copyState) {
+  if (!copyState.changes) {
+    return;
+  }
+  var folderId = destinationFolder.getId();
+  var names = copyState.skippedNames[folderId] || [];
+  names.push(applyVariables(sourceName, copyState));
+  copyState.skippedNames[folderId] = names;
+}
+
+/**
+ * Finds items in the target that no longer exist in the source, and
+ * trashes them if `deleteOrphans` is set (otherwise just reports them).
+ * Only folders that are part of the sync are checked; a removed orphan
+ * folder goes with everything inside it.
+ * @param {object} copyState
+ */
+function handleOrphans(copyState) {
+  var knownIds = {};
+  [copyState.folderMap, copyState.copiedFiles, copyState.convertedFiles].forEach(map => {
+    Object.keys(map).forEach(sourceId => {
+      if (map[sourceId]) {
+        knownIds[map[sourceId]] = true;
+      }
+    });
+  });
+
+  Object.keys(copyState.folderPaths).forEach(folderId => {
+    if (isPlannedId(folderId) || copyState.orphansChecked[folderId]) {
+      return;
+    }
+    checkJobBudget(copyState);
+
+    var folder = openDestinationFolder(folderId, copyState);
+    var protectedNames = copyState.skippedNames[folderId] || [];
+    var isMainFolder = folderId === copyState.mainFolderId;
+    [[listSubfolders(folder, copyState), 'folder'], [listFiles(folder, copyState), 'file']].forEach(([items, type]) => {
+      items.forEach(item => {
+        var name = item.getName();
+        if (knownIds[item.getId()] || protectedNames.indexOf(name) !== -1 || 
+            (isMainFolder && isReportFileName(name))) {
+          return;
+        }
+        var path = copyState.folderPaths[folderId] + '/' + name;
+        if (copyState.options.deleteOrphans) {
+          trashDestinationItem(item, copyState);
+          recordChange(copyState, 'removed', type, path, item.getId(), 'Not in source');
+        } else {
+          recordChange(copyState, 'skipped', type, path, item.getId(), 'Not in source (deleteOrphans is off)');
+        }
+      });
+    });
+    copyState.orphansChecked[folderId] = true;
+  });
+}
+
+
+// --- SHARING ---
+
+/**
+ * Gives a newly created item the source item's sharing (if
+ * `copyPermissions` is set) and, for the main folder, the request's
+ * `shareWith` users (everything inside inherits them). Grants the new item
+ * already has, e.g. inherited from its folder, are not applied again.
+ * Failures don't stop the copy; every grant is listed in the report.
+ * @param {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File|null} sourceItem - Null to skip copying.
+ * @param {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File|object} newItem
+ * @param {string} type - 'file' or 'folder'
+ * @param {string} path - The new item's path.
+ * @param {object} copyState
+ */
+function applySharing(sourceItem, newItem, type, path, copyState) {
+  var options = copyState.options;
+  var grants = [];
+  var entry = { type: type, path: path, id: newItem.getId(), applied: [], failed: [] };
+
+  try {
+    if (options.copyPermissions && sourceItem) {
+      grants = getSourceGrants(sourceItem, type === 'file', copyState);
+    }
+    if (options.shareWith && newItem.getId() === copyState.mainFolderId) {
+      (options.shareWith.editors || []).forEach(email => grants.push({ role: 'editor', email: email }));
+      (options.shareWith.viewers || []).forEach(email => grants.push({ role: 'viewer', email: email }));
+    }
+    if (!grants.length) {
+      return;
+    }
+    var existing = getExistingGrants(newItem, copyState);
+  } catch (e) {
+    entry.failed.push({ role: 'all', reason: 'Could not read sharing: ' + e.message });
+    copyState.permissions.push(entry);
+    return;
+  }
+
+  grants.forEach(grant => {
+    var key = grant.role === 'link' ? 'link' : grant.email.toLowerCase();
+    if (existing[key] && (existing[key] === 'editor' || existing[key] === grant.role)) {
+      return; // Already has it (or more)
+    }
+    try {
+      grantAccess(newItem, grant, copyState);
+      entry.applied.push(grant);
+    } catch (e) {
+      entry.failed.push(Object.assign({}, grant, { reason: e.message }));
+    }
+  });
+
+  if (entry.applied.length || entry.failed.length) {
+    copyState.permissions.push(entry);
+  }
+}
+
+/**
+ * Reads a source item's sharing as a list of grants:
+ * { role: 'editor'|'viewer'|'commenter', email } for users and groups
+ * (the owner becomes an editor, as ownership can't be copied), and
+ * { role: 'link', access, permission } for domain or link sharing.
+ * @param {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File} item
+ * @param {boolean} isFile - Only files have commenters.
+ * @param {object} copyState
+ * @returns {object[]}
+ */
+function getSourceGrants(item, isFile, copyState) {
+  return withDriveRetry('getSharing', () => {
+    var me = Session.getEffectiveUser().getEmail();
+    var grants = [];
+    var add = (role, user) => {
+      var email = user && user.getEmail();
+      if (email && email !== me) {
+        grants.push({ role: role, email: email });
+      }
+    };
+
+    add('editor', item.getOwner());
+    item.getEditors().forEach(user => add('editor', user));
+    item.getViewers().forEach(user => {
+      add(isFile && item.getAccess(user) === DriveApp.Permission.COMMENT ? 'commenter' : 'viewer', user);
+    });
+    var access = item.getSharingAccess();
+    if (access !== DriveApp.Access.PRIVATE) {
+      grants.push({ role: 'link', access: String(access), permission: String(item.getSharingPermission()) });
+    }
+    return grants;
+  }, copyState);
+}
+
+/**
+ * @param {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File|object} item
+ * @param {object} copyState
+ * @returns {object} Maps lower-cased emails to the item's current role
+ *   ('editor' or 'viewer'), plus 'link' if it has link sharing.
+ */
+function getExistingGrants(item, copyState) {
+  var existing = {};
+  if (isPlannedId(item.getId())) {
+    return existing; // Planned by a dry run: nothing to read
+  }
+  return withDriveRetry('getSharing', () => {
+    item.getViewers().forEach(user => { existing[user.getEmail().toLowerCase()] = 'viewer'; });
+    item.getEditors().forEach(user => { existing[user.getEmail().toLowerCase()] = 'editor'; });
+    if (item.getSharingAccess() !== DriveApp.Access.PRIVATE) {
+      existing.link = 'link';
+    }
+    return existing;
+  }, copyState);
+}
+
+/**
+ * Applies one grant to a destination item (not in a dry run).
+ * @param {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File|object} item
+ * @param {object} grant - From getSourceGrants or `shareWith`.
+ * @param {object} copyState
+ */
+function grantAccess(item, grant, copyState) {
+  if (copyState.options.dryRun) {
+    return;
+  }
+  withDriveRetry('share', () => {
+    switch (grant.role) {
+      case 'editor':
+        return item.addEditor(grant.email);
+      case 'commenter':
+        return item.addCommenter(grant.email);
+      case 'viewer':
+        return item.addViewer(grant.email);
+      case 'link':
+        return item.setSharing(DriveApp.Access[grant.access], DriveApp.Permission[grant.permission]);
+    }
+  }, copyState);
+}
+
+
+// --- ITEM METADATA ---
+
+/**
+ * Carries a source item's description, starred state and custom Drive
+ * properties over to its copy, adding the request's `properties` on top.
+ * Only public `properties` are copied: `appProperties` belong to the app
+ * that wrote them, which this script isn't.
+ * Only done if the request asks for it (`copyMetadata`, or `properties`).
+ * Custom properties need the Drive advanced service (see
+ * hasDriveAdvancedService); without it they are left out.
+ * @param {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File} sourceItem
+ * @param {GoogleAppsScript.Drive.Folder|GoogleAppsScript.Drive.File|object} newItem
+ * @param {string} type - 'file' or 'folder'
+ * @param {string} path - The new item's path.
+ * @param {object} copyState
+ * @returns {object} The metadata for the report node (empty fields left out).
+ */
+function copyItemMetadata(sourceItem, newItem, type, path, copyState) {
+  var metadata = {};
+  if (!copyState.options.copyMetadata) {
+    return metadata;
+  }
+  var isDryRun = copyState.options.dryRun;
+  try {
+    var description = withDriveRetry('getDescription', () => sourceItem.getDescription(), copyState);
+    if (description) {
+      metadata.description = description;
+      if (!isDryRun) {
+        withDriveRetry('setDescription', () => newItem.setDescription(description), copyState);
+      }
+    }
+    if (withDriveRetry('isStarred', () => sourceItem.isStarred(), copyState)) {
+      metadata.starred = true;
+      if (!isDryRun) {
+        withDriveRetry('setStarred', () => newItem.setStarred(true), copyState);
+      }
+    }
+
+    if (hasDriveAdvancedService()) {
+      var source = withDriveRetry('getProperties', () => Drive.Files.get(sourceItem.getId(), {
+        fields: 'properties',
+        supportsAllDrives: true
+      }), copyState);
+      var properties = Object.assign({}, source.properties, copyState.options.properties);
+      if (Object.keys(properties).length) {
+        metadata.properties = properties;
+      }
+      if (metadata.properties && !isDryRun) {
+        withDriveRetry('setProperties', () => Drive.Files.update({ properties: properties }, newItem.getId(), null, {
+          supportsAllDrives: true
+        }), copyState);
+      }
+    }
+  } catch (e) {
+    var error = 'Could not copy the description or properties of ' + path + ': ' + e.message;
+    console.error(error);
+    copyState.errors.push(createReportError(e, 'METADATA_COPY_FAILED', error, 
+      { type: type, name: sourceItem.getName(), sourceId: sourceItem.getId(), path: path }));
+  }
+  return metadata;
+}
+
+/**
+ * @returns {boolean} True if the Drive advanced service (Drive API v3) is
+ *   enabled for this script (Editor > Services > Drive API).
+ */
+function hasDriveAdvancedService() {
+  return typeof Drive !== 'undefined' && !!Drive.Files;
+}
+
+
+// --- SHARED DRIVES ---
+// Sources and destinations in Shared Drives are detected with the Drive
+// advanced service. Without it, every folder is treated as being in My Drive.
+
+/**
+ * Looks up the Shared Drive a folder is in, with the caller's capabilities
+ * on the drive and on the folder.
+ * @param {string} folderId
+ * @returns {object|null} { id, name, capabilities, restrictions,
+ *   folderCapabilities }, or null for a folder in My Drive.
+ */
+function getSharedDrive(folderId) {
+  if (!hasDriveAdvancedService()) {
+    return null;
+  }
+  var folder = Drive.Files.get(folderId, {
+    fields: 'driveId,capabilities(canAddChildren,canTrashChildren)',
+    supportsAllDrives: true
+  });
+  if (!folder.driveId) {
+    return null;
+  }
+  var drive = {};
+  try {
+    drive = Drive.Drives.get(folder.driveId, { fields: 'name,capabilities(canCopy),restrictions' });
+  } catch (e) {
+    if (isTransientDriveError(e)) {
+      throw e;
+    }
+    // Only the folder is shared with the caller, not the drive itself.
+  }
+  return {
+    id: folder.driveId,
+    name: drive.name || folder.driveId,
+    capabilities: drive.capabilities || {},
+    restrictions: drive.restrictions || {},
+    folderCapabilities: folder.capabilities || {}
+  };
+}
+
+/**
+ * Checks, before a copy is run or queued, that the caller's role in the
+ * Shared Drives involved allows it: at least Contributor to add items to
+ * the destination (Content manager to trash items in update mode), and
+ * the source drive must let the caller copy its files.
+ * @param {object} params - The copy's parameters.
+ * @param {string} copyToFolderId - The destination, or the target in update mode.
+ */
+function checkSharedDriveAccess(params, copyToFolderId) {
+  var isUpdate = params.mode === 'update';
+  var destination = getSharedDrive(copyToFolderId);
+  if (destination) {
+    var details = { field: isUpdate ? 'targetFolderId' : 'destinationFolderId', folderId: copyToFolderId, sharedDriveId: destination.id };
+    if (!destination.folderCapabilities.canAddChildren) {
+      throw createApiError('FORBIDDEN', "This account can't add items to the Shared Drive '" + destination.name + 
+        "'. It needs Contributor access or higher.", details);
+    }
+    if (isUpdate && (params.overwriteNewer || params.deleteOrphans) && !destination.folderCapabilities.canTrashChildren) {
+      throw createApiError('FORBIDDEN', "overwriteNewer and deleteOrphans trash items in the Shared Drive '" + destination.name + 
+        "'. This account needs Content manager access or higher.", details);
+    }
+  }
+
+  var source = getSharedDrive(params.sourceFolderId);
+  if (source && source.capabilities.canCopy === false && !(params.filters && params.filters.foldersOnly)) {
+    throw createApiError('FORBIDDEN', "The Shared Drive '" + source.name + "' doesn't let this account copy its files" + 
+      (source.restrictions.copyRequiresWriterPermission ? ' (only members with edit access may).' : '.'), 
+      { field: 'sourceFolderId', folderId: params.sourceFolderId, sharedDriveId: source.id });
+  }
+}
+
+/**
+ * Records which Shared Drives (if any) the copy reads from and writes to.
+ * @param {string} sourceFolderId
+ * @param {string} copyToFolderId - The destination, or the target in update mode.
+ * @param {object} copyState
+ */
+function detectSharedDrives(sourceFolderId, copyToFolderId, copyState) {
+  var summarize = drive => (drive ? { id: drive.id, name: drive.name } : null);
+  copyState.sharedDrives = {
+    source: summarize(withDriveRetry('getSharedDrive', () => getSharedDrive(sourceFolderId), copyState)),
+    destination: summarize(withDriveRetry('getSharedDrive', () => getSharedDrive(copyToFolderId), copyState))
+  };
+}
+
+/**
+ * @param {object} copyState
+ * @returns {boolean} True if the copy's source or destination is in a Shared Drive.
+ */
+function usesSharedDrives(copyState) {
+  var drives = copyState.sharedDrives;
+  return !!(drives && (drives.source || drives.destination));
+}
+
+/**
+ * Makes sure a copy fits in its destination Shared Drive: the source's
+ * items (before filters), plus the new main folder, plus what the drive
+ * already holds must stay within CONFIG.SHARED_DRIVE_ITEM_LIMIT. In update
+ * mode, only the source items with no item of the same name in the
+ * matching target folder count (`capacityCount.targetIds` holds the target
+ * folder of each source folder, or null for one that is new). Counts one
+ * page of items at a time (in `copyState.capacityCount`), checking the
+ * job's budget in between, and stops as soon as the limit is passed.
+ * @param {object} copyState
+ */
+function checkSharedDriveCapacity(copyState) {
+  var drive = copyState.sharedDrives.destination;
+  var limit = CONFIG.SHARED_DRIVE_ITEM_LIMIT;
+  var count = copyState.capacityCount;
+  while (count.stage !== 'done') {
+    checkJobBudget(copyState);
+    var page;
+    if (count.stage === 'source') {
+      // The source tree, one folder's listing at a time
+      var targetItems = count.targetIds && count.targetIds[0] ? getCapacityTargetItems(count, copyState) : null;
+      page = listItemsPage({
+        q: "'" + count.folderIds[0] + "' in parents and trashed = false",
+        fields: 'nextPageToken,files(id,name,mimeType)'
+      }, count.pageToken, copyState);
+      page.files.forEach(item => {
+        var isFolder = item.mimeType === MimeType.FOLDER;
+        var targetId = targetItems ? targetItems[(isFolder ? 'folder:' : 'file:') + applyVariables(item.name, copyState)] : null;
+        if (isFolder) {
+          count.folderIds.push(item.id);
+          if (count.targetIds) {
+            count.targetIds.push(targetId || null);
+          }
+        }
+        if (!targetId) {
+          count.copyCount++;
+        }
+      });
+      count.pageToken = page.nextPageToken;
+      if (!count.pageToken) {
+        count.folderIds.shift();
+        if (count.targetIds) {
+          count.targetIds.shift();
+          count.targetItems = null;
+        }
+      }
+      if (count.copyCount > limit) {
+        count.stage = 'done';
+      } else if (!count.folderIds.length) {
+        count.stage = 'drive';
+      }
+    } else {
+      page = listItemsPage({
+        corpora: 'drive',
+        driveId: drive.id,
+        fields: 'nextPageToken,files(id)'
+      }, count.pageToken, copyState);
+      count.driveCount += page.files.length;
+      count.pageToken = page.nextPageToken;
+      if (!count.pageToken || count.copyCount + count.driveCount > limit) {
+        count.stage = 'done';
+      }
+    }
+  }
+  if (count.copyCount + count.driveCount > limit) {
+    throw createApiError('SHARED_DRIVE_ITEM_LIMIT', 'The copy (' + count.copyCount + (count.targetIds ? ' new' : '') + " items) doesn't fit in the Shared Drive '" + 
+      drive.name + "', which already holds " + count.driveCount + ' items or more. A Shared Drive holds at most ' + limit + ' items.', 
+      { sharedDriveId: drive.id, limit: limit });
+  }
+}
+
+/**
+ * Lists the items in the target folder that update mode would match the
+ * current source folder's items with, the first time they are needed.
+ * @param {object} count - `copyState.capacityCount`.
+ * @param {object} copyState
+ * @returns {object} 'folder:<name>' -> folder ID, 'file:<name>' -> file ID.
+ */
+function getCapacityTargetItems(count, copyState) {
+  if (!count.targetItems) {
+    var items = {};
+    var pageToken = null;
+    do {
+      var page = listItemsPage({
+        q: "'" + count.targetIds[0] + "' in parents and trashed = false",
+        fields: 'nextPageToken,files(id,name,mimeType)'
+      }, pageToken, copyState);
+      page.files.forEach(item => {
+        items[(item.mimeType === MimeType.FOLDER ? 'folder:' : 'file:') + item.name] = item.id;
+      });
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+    count.targetItems = items;
+  }
+  return count.targetItems;
+}
+
+/**
+ * Lists one page of a Drive API files.list query.
+ * @param {object} listOptions - Query, fields etc. for Drive.Files.list.
+ * @param {string|null} pageToken - From the previous page, if any.
+ * @param {object} copyState
+ * @returns {object} { files, nextPageToken } (null once there are no more pages).
+ */
+function listItemsPage(listOptions, pageToken, copyState) {
+  var page = withDriveRetry('listItems', () => Drive.Files.list(Object.assign({
+    pageSize: 1000,
+    pageToken: pageToken || undefined,
+    supportsAllDrives: true,
+    includeItemsFromAllDrives: true
+  }, listOptions)), copyState);
+  return { files: page.files || [], nextPageToken: page.nextPageToken || null };
+}
+
+/**
+ * Turns Drive's "Shared Drive is full" errors into a SHARED_DRIVE_ITEM_LIMIT
+ * error, which stops the copy. Other errors are returned as they are.
+ * @param {Error} error
+ * @param {object} copyState
+ * @returns {Error}
+ */
+function toSharedDriveLimitError(error, copyState) {
+  var drive = copyState.sharedDrives && copyState.sharedDrives.destination;
+  if (!drive || !/limit for this shared drive|teamDriveFileLimitExceeded/i.test(String(error.message))) {
+    return error;
+  }
+  return createApiError('SHARED_DRIVE_ITEM_LIMIT', "The Shared Drive '" + drive.name + "' is full: " + error.message, 
+    { sharedDriveId: drive.id, limit: CONFIG.SHARED_DRIVE_ITEM_LIMIT });
+}
+
+/**
+ * Works out whether a file from a Shared Drive failed to copy because the
+ * drive or file restricts copying (e.g. to members with edit access).
+ * @param {GoogleAppsScript.Drive.File} file - The source file.
+ * @param {object} copyState
+ * @returns {string|null} The restriction, or null if there is none (or it
+ *   can't be read).
+ */
+function getSharedDriveRestriction(file, copyState) {
+  if (!copyState.sharedDrives || !copyState.sharedDrives.source) {
+    return null;
+  }
+  try {
+    var source = Drive.Files.get(file.getId(), {
+      fields: 'capabilities(canCopy),copyRequiresWriterPermission',
+      supportsAllDrives: true
+    });
+  } catch (e) {
+    return null;
+  }
+  if (!source.capabilities || source.capabilities.canCopy !== false) {
+    return null;
+  }
+  return source.copyRequiresWriterPermission
+    ? 'Copying is restricted to people with edit access (Shared Drive restriction)'
+    : "The Shared Drive doesn't let this account copy the file";
+}
+
+
+// --- TEMPLATE PLACEHOLDERS ---
+
+/**
+ * @param {object} copyState
+ * @returns {boolean} True if the request supplied any variables.
+ */
+function hasVariables(copyState) {
+  return Object.keys(copyState.options.variables || {}).length > 0;
+}
+
+/**
+ * Replaces {{Name}} placeholders in a folder or file name with the
+ * request's variables. Placeholders without a variable are left as they
+ * are and, if a location is given, recorded as unresolved.
+ * @param {string} text
+ * @param {object} copyState
+ * @param {string} [location] - Where the text came from (for the report).
+ * @returns {string}
+ */
+function applyVariables(text, copyState, location) {
+  if (!hasVariables(copyState)) {
+    return text;
+  }
+  var variables = copyState.options.variables;
+  return text.replace(/\{\{([^{}]+)\}\}/g, (placeholder, key) => {
+    if (variables.hasOwnProperty(key)) {
+      return String(variables[key]);
+    }
+    if (location) {
+      recordUnresolvedPlaceholder(copyState, placeholder, location);
+    }
+    return placeholder;
+  });
+}
+
+/**
+ * Replaces the date tokens in the main folder's name: {{date}}
+ * (2025-11-17), {{time}} (09:00) and {{date:<pattern>}} with any
+ * Utilities.formatDate pattern, e.g. {{date:dd MMM yyyy}}. The date is the
+ * scheduled run time for scheduled copies, and now otherwise, in the
+ * request's time zone. A variable with the same name wins.
+ * @param {string} text
+ * @param {object} copyState
+ * @returns {string}
+ */
+function applyDateTokens(text, copyState) {
+  var options = copyState.options;
+  var date = new Date(options.scheduledFor || copyState.startTime);
+  var timeZone = options.timeZone || Session.getScriptTimeZone();
+  var variables = options.variables || {};
+  return text.replace(/\{\{(date|time)(?::([^{}]+))?\}\}/g, (placeholder, token, pattern) => {
+    if (variables.hasOwnProperty(placeholder.slice(2, -2))) {
+      return placeholder;
+    }
+    return Utilities.formatDate(date, timeZone, pattern || (token === 'date' ? 'yyyy-MM-dd' : 'HH:mm'));
+  });
+}
+
+/**
+ * Replaces {{Name}} placeholders inside a copied Google Doc, Sheet or
+ * Slides file. Other file types are left alone.
+ * @param {GoogleAppsScript.Drive.File} file - The new copy.
+ * @param {object} copyState
+ * @param {string} location - The file's path (for the report).
+ */
+function replacePlaceholdersInFile(file, copyState, location) {
+  if (!hasVariables(copyState) || copyState.options.dryRun) {
+    return;
+  }
+  var variables = copyState.options.variables;
+  var keys = Object.keys(variables);
+  var remainingText = '';
+
+  try {
+    switch (file.getMimeType()) {
+      case MimeType.GOOGLE_DOCS:
+        var doc = DocumentApp.openById(file.getId());
+        var sections = [doc.getBody(), doc.getHeader(), doc.getFooter()].filter(section => section);
+        sections.forEach(section => {
+          keys.forEach(key => section.replaceText(escapeRegExp('{{' + key + '}}'), String(variables[key])));
+          remainingText += section.getText() + '\n';
+        });
+        doc.saveAndClose();
+        break;
+
+      case MimeType.GOOGLE_SHEETS:
+        var spreadsheet = SpreadsheetApp.openById(file.getId());
+        keys.forEach(key => {
+          spreadsheet.createTextFinder('{{' + key + '}}').matchCase(true).replaceAllWith(String(variables[key]));
+        });
+        remainingText = spreadsheet.createTextFinder('\\{\\{[^{}]+\\}\\}')
+          .useRegularExpression(true)
+          .findAll()
+          .map(range => range.getDisplayValue())
+          .join('\n');
+        break;
+
+      case MimeType.GOOGLE_SLIDES:
+        var presentation = SlidesApp.openById(file.getId());
+        keys.forEach(key => presentation.replaceAllText('{{' + key + '}}', String(variables[key]), true));
+        presentation.getSlides().forEach(slide => {
+          slide.getShapes().forEach(shape => {
+            remainingText += shape.getText().asString() + '\n';
+          });
+        });
+        presentation.saveAndClose();
+        break;
+
+      default:
+        return;
+    }
+  } catch (e) {
+    var error = 'Could not replace placeholders in ' + location + ': ' + e.message;
+    console.error(error);
+    copyState.errors.push(createReportError(e, 'PLACEHOLDER_REPLACE_FAILED', error, 
+      { type: 'file', name: file.getName(), sourceId: file.getId(), path: location }));
+    return;
+  }
+
+  (remainingText.match(/\{\{[^{}]+\}\}/g) || []).forEach(placeholder => {
+    recordUnresolvedPlaceholder(copyState, placeholder, location);
+  });
+}
+
+/**
+ * Notes an unresolved placeholder and where it was found (up to 20
+ * locations per placeholder, to keep the report small).
+ * @param {object} copyState
+ * @param {string} placeholder - e.g. '{{ClinetName}}'
+ * @param {string} location
+ */
+function recordUnresolvedPlaceholder(copyState, placeholder, location) {
+  var locations = copyState.unresolvedPlaceholders[placeholder] || [];
+  if (locations.length < 20 && locations.indexOf(location) === -1) {
+    locations.push(location);
+  }
+  copyState.unresolvedPlaceholders[placeholder] = locations;
+}
+
+
+// --- LINK REWRITING ---
+// Templates often link to each other (a Doc linking to a Sheet, IMPORTRANGE
+// between Sheets). With `rewriteLinks`, links and Drive URLs inside the
+// copied Google files that point at items in the source tree are pointed
+// at their copies, once everything has been copied.
+
+/**
+ * @param {object} copyState
+ * @returns {object} Maps the source ID of every copied (or, in update mode,
+ *   reused) folder and file to its copy's ID.
+ */
+function getIdMap(copyState) {
+  var idMap = {};
+  [copyState.folderMap, copyState.copiedFiles].forEach(map => {
+    Object.keys(map).forEach(sourceId => {
+      if (map[sourceId]) {
+        idMap[sourceId] = map[sourceId];
+      }
+    });
+  });
+  return idMap;
+}
+
+/**
+ * Rewrites the links in every Google Doc, Sheet and Slides file this copy
+ * created (in update mode: added or replaced). Files already done (see
+ * `copyState.linksRewritten`) are skipped, so the phase can resume after
+ * a checkpoint. Nothing is rewritten in a dry run.
+ * @param {object} copyState
+ */
+function rewriteLinks(copyState) {
+  if (copyState.options.dryRun) {
+    return;
+  }
+  var idMap = getIdMap(copyState);
+  var sourceIds = Object.keys(idMap).filter(id => idMap[id] !== id);
+  var createdIds = null;
+  if (copyState.changes) {
+    createdIds = {};
+    copyState.changes.added.concat(copyState.changes.updated).forEach(change => { createdIds[change.id] = true; });
+  }
+  copyState.linksRewritten = copyState.linksRewritten || {};
+  copyState.linkRewrites = copyState.linkRewrites || [];
+
+  collectFiles(copyState.folderStructure).forEach(entry => {
+    if (copyState.linksRewritten[entry.id] || (createdIds && !createdIds[entry.id]) ||
+        [MimeType.GOOGLE_DOCS, MimeType.GOOGLE_SHEETS, MimeType.GOOGLE_SLIDES].indexOf(entry.mimeType) === -1) {
+      return;
+    }
+    checkJobBudget(copyState);
+    var location = entry.path + '/' + entry.name;
+    try {
+      var replaced = rewriteLinksInFile(entry, sourceIds, idMap);
+      if (replaced) {
+        copyState.linkRewrites.push({ path: location, id: entry.id, replaced: replaced });
+      }
+    } catch (e) {
+      var error = 'Could not rewrite links in ' + location + ': ' + e.message;
+      console.error(error);
+      copyState.errors.push(createReportError(e, 'LINK_REWRITE_FAILED', error, 
+        { type: 'file', name: entry.name, id: entry.id, path: location }));
+    }
+    copyState.linksRewritten[entry.id] = true;
+  });
+}
+
+/**
+ * Points the links in one copied Google file at the copies: link URLs
+ * (Docs text, Sheets cells, Slides text and shapes), formulas such as
+ * IMPORTRANGE and HYPERLINK (Sheets), and Drive URLs or IDs in the text.
+ * Files are only scanned for the source IDs they actually contain.
+ * @param {object} entry - The file's structure entry.
+ * @param {string[]} sourceIds - Source IDs that have a copy.
+ * @param {object} idMap - Source ID -> copy ID.
+ * @returns {number} How many links and texts were changed.
+ */
+function rewriteLinksInFile(entry, sourceIds, idMap) {
+  var replaced = 0;
+  var rewrite = (url, setUrl) => {
+    var newUrl = url ? replaceSourceIds(url, sourceIds, idMap) : url;
+    if (newUrl !== url) {
+      setUrl(newUrl);
+      replaced++;
+    }
+  };
+  var findIds = text => sourceIds.filter(id => text.indexOf(id) !== -1);
+
+  switch (entry.mimeType) {
+    case MimeType.GOOGLE_DOCS:
+      var doc = DocumentApp.openById(entry.id);
+      [doc.getBody(), doc.getHeader(), doc.getFooter()].filter(section => section).forEach(section => {
+        for (var found = section.findElement(DocumentApp.ElementType.TEXT); found; 
+             found = section.findElement(DocumentApp.ElementType.TEXT, found)) {
+          var text = found.getElement().asText();
+          var starts = text.getTextAttributeIndices();
+          starts.forEach((start, i) => {
+            var end = (i + 1 < starts.length ? starts[i + 1] : text.getText().length) - 1;
+            if (end >= start) {
+              rewrite(text.getLinkUrl(start), newUrl => text.setLinkUrl(start, end, newUrl));
+            }
+          });
+        }
+        var content = section.getText();
+        findIds(content).forEach(id => {
+          section.replaceText(id, idMap[id]);
+          replaced += content.split(id).length - 1;
+        });
+      });
+      doc.saveAndClose();
+      break;
+
+    case MimeType.GOOGLE_SHEETS:
+      var spreadsheet = SpreadsheetApp.openById(entry.id);
+      var cellText = '';
+      spreadsheet.getSheets().forEach(sheet => {
+        var range = sheet.getDataRange();
+        var formulas = range.getFormulas();
+        cellText += JSON.stringify(formulas) + JSON.stringify(range.getValues());
+        // Rich-text links (Insert > Link) in cells without a formula
+        range.getRichTextValues().forEach((row, r) => row.forEach((value, c) => {
+          if (!value || formulas[r][c]) {
+            return;
+          }
+          var builder = null;
+          value.getRuns().forEach(run => {
+            rewrite(run.getLinkUrl(), newUrl => {
+              builder = builder || value.copy();
+              builder.setLinkUrl(run.getStartIndex(), run.getEndIndex(), newUrl);
+            });
+          });
+          if (builder) {
+            range.getCell(r + 1, c + 1).setRichTextValue(builder.build());
+          }
+        }));
+      });
+      findIds(cellText).forEach(id => {
+        replaced += spreadsheet.createTextFinder(id).matchFormulaText(true).replaceAllWith(idMap[id]);
+        replaced += spreadsheet.createTextFinder(id).replaceAllWith(idMap[id]);
+      });
+      break;
+
+    case MimeType.GOOGLE_SLIDES:
+      var presentation = SlidesApp.openById(entry.id);
+      var slideText = '';
+      presentation.getSlides().forEach(slide => {
+        slide.getShapes().forEach(shape => {
+          var shapeLink = shape.getLink();
+          if (shapeLink) {
+            rewrite(shapeLink.getUrl(), newUrl => shape.setLinkUrl(newUrl));
+          }
+          var textRange = shape.getText();
+          textRange.getLinks().forEach(linkRange => {
+            var link = linkRange.getTextStyle().getLink();
+            rewrite(link && link.getUrl(), newUrl => linkRange.getTextStyle().setLinkUrl(newUrl));
+          });
+          slideText += textRange.asString() + '\n';
+        });
+      });
+      findIds(slideText).forEach(id => {
+        replaced += presentation.replaceAllText(id, idMap[id], true);
+      });
+      presentation.saveAndClose();
+      break;
+  }
+  return replaced;
+}
+
+/**
+ * @param {string} text - e.g. a link URL.
+ * @param {string[]} sourceIds
+ * @param {object} idMap - Source ID -> copy ID.
+ * @returns {string} The text with every source ID replaced by its copy's ID.
+ */
+function replaceSourceIds(text, sourceIds, idMap) {
+  return sourceIds.reduce((result, id) => (result.indexOf(id) === -1 ? result : result.split(id).join(idMap[id])), text);
+}
+
+
+// --- FILE CONVERSION ---
+// `convert` rules turn Office files into Google files (imported through the
+// Drive API, so placeholders get filled in too) and Google files into
+// Office files or PDFs (exported), instead of or alongside the plain copy.
+
+/** Each conversion target, with the MIME types it can be made from. */
+const CONVERSIONS = {
+  'application/vnd.google-apps.document': [
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/msword',
+    'application/vnd.oasis.opendocument.text', 'application/rtf', 'text/plain', 'text/html'],
+  'application/vnd.google-apps.spreadsheet': [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/vnd.ms-excel',
+    'application/vnd.oasis.opendocument.spreadsheet', 'text/csv'],
+  'application/vnd.google-apps.presentation': [
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation', 'application/vnd.ms-powerpoint',
+    'application/vnd.oasis.opendocument.presentation'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['application/vnd.google-apps.document'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['application/vnd.google-apps.spreadsheet'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['application/vnd.google-apps.presentation'],
+  'application/pdf': ['application/vnd.google-apps.document', 'application/vnd.google-apps.spreadsheet', 
+    'application/vnd.google-apps.presentation']
+};
+
+/** File name extensions for exported files. */
+const CONVERTED_EXTENSIONS = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+  'application/pdf': '.pdf'
+};
+
+/**
+ * @param {GoogleAppsScript.Drive.File} file - A source file.
+ * @param {object} copyState
+ * @returns {object|null} The first `convert` rule that matches the file's
+ *   type and can convert it, or null to copy it as it is.
+ */
+function getConversion(file, copyState) {
+  var mimeType = file.getMimeType();
+  return (copyState.options.convert || []).find(rule => 
+    matchesMimeType(mimeType, rule.from) && CONVERSIONS[rule.to].indexOf(mimeType) !== -1) || null;
+}
+
+/**
+ * @param {string} mimeType
+ * @returns {boolean} True for Google Docs, Sheets, Slides etc.
+ */
+function isGoogleMimeType(mimeType) {
+  return mimeType.indexOf('application/vnd.google-apps.') === 0;
+}
+
+/**
+ * Names a converted file: imported files lose their Office extension
+ * ("Brief.docx" -> "Brief"), exported ones get one ("Brief" -> "Brief.pdf").
+ * @param {string} name - The plain copy's name.
+ * @param {string} toMimeType
+ * @returns {string}
+ */
+function getConvertedName(name, toMimeType) {
+  if (isGoogleMimeType(toMimeType)) {
+    return name.replace(/\.(docx?|xlsx?|pptx?|odt|ods|odp|rtf|txt|csv|html?)$/i, '');
+  }
+  return name + CONVERTED_EXTENSIONS[toMimeType];
+}
+
+/**
+ * Creates a converted copy of a source file in a destination folder.
+ * Google files are exported from their plain copy if one was made, so that
+ * placeholders are filled in; otherwise from a temporary copy when there
+ * are variables, or else from the source itself (see exportForConversion).
+ * With rewriteLinks, the export waits for the links phase: the file is
+ * created empty now and filled in by exportPendingConversions.
+ * @param {GoogleAppsScript.Drive.File} file - The source file.
+ * @param {string} toMimeType - A CONVERSIONS key.
+ * @param {GoogleAppsScript.Drive.File|object|null} plainCopy
+ * @param {GoogleAppsScript.Drive.Folder} destinationFolder
+ * @param {string} name
+ * @param {object} copyState
+ * @returns {GoogleAppsScript.Drive.File|object} The new (or planned) file.
+ */
+function convertFileTo(file, toMimeType, plainCopy, destinationFolder, name, copyState) {
+  if (copyState.options.dryRun) {
+    return Object.assign(createPlannedItem('planned-converted-' + file.getId(), name, file), { getMimeType: () => toMimeType });
+  }
+  checkFileQuota(copyState);
+  var newFile;
+  var findCopy = toResult => findCreatedItem(() => destinationFolder.getFilesByName(name), copyState, toResult);
+  try {
+    if (isGoogleMimeType(toMimeType)) {
+      var imported = withDriveRetry('importFile', () => Drive.Files.copy({
+        name: name,
+        parents: [destinationFolder.getId()],
+        mimeType: toMimeType
+      }, file.getId(), { supportsAllDrives: true, fields: 'id' }), copyState, findCopy(item => ({ id: item.getId() })));
+      newFile = withDriveRetry('getFileById', () => DriveApp.getFileById(imported.id), copyState);
+    } else if (copyState.options.rewriteLinks) {
+      newFile = withDriveRetry('createFile', () => destinationFolder.createFile(Utilities.newBlob('', toMimeType, name)), copyState, 
+        findCopy());
+      copyState.pendingExports[newFile.getId()] = {
+        sourceId: file.getId(),
+        plainCopyId: plainCopy ? plainCopy.getId() : null,
+        folderId: destinationFolder.getId(),
+        toMimeType: toMimeType
+      };
+    } else {
+      var blob = exportForConversion(file, toMimeType, plainCopy, destinationFolder, name, null, copyState);
+      newFile = withDriveRetry('createFile', () => destinationFolder.createFile(blob), copyState, findCopy());
+    }
+  } catch (e) {
+    throw toSharedDriveLimitError(e, copyState);
+  }
+  recordCreatedItem(copyState, newFile, 'file');
+  copyState.filesCreated = (copyState.filesCreated || 0) + 1;
+  return newFile;
+}
+
+/**
+ * Exports a Google file for a conversion, from its plain copy if there is
+ * one, else from a temporary copy (trashed afterwards) if placeholders or
+ * links need changing, else from the source file.
+ * @param {GoogleAppsScript.Drive.File} file - The source file.
+ * @param {string} toMimeType
+ * @param {GoogleAppsScript.Drive.File|null} plainCopy
+ * @param {GoogleAppsScript.Drive.Folder|object} destinationFolder
+ * @param {string} name - The converted file's name.
+ * @param {object|null} links - { sourceIds, idMap } to rewrite links in a
+ *   temporary copy (see rewriteLinksInFile).
+ * @param {object} copyState
+ * @returns {GoogleAppsScript.Base.Blob}
+ */
+function exportForConversion(file, toMimeType, plainCopy, destinationFolder, name, links, copyState) {
+  var exportFrom = plainCopy || file;
+  var tempCopy = null;
+  if (!plainCopy && (hasVariables(copyState) || links)) {
+    tempCopy = withDriveRetry('makeCopy', () => file.makeCopy(name, destinationFolder), copyState, 
+      findCreatedItem(() => destinationFolder.getFilesByName(name), copyState));
+  }
+  try {
+    if (tempCopy) {
+      replacePlaceholdersInFile(tempCopy, copyState, copyState.folderPaths[destinationFolder.getId()] + '/' + name);
+      if (links) {
+        rewriteLinksInFile({ id: tempCopy.getId(), mimeType: tempCopy.getMimeType() }, links.sourceIds, links.idMap);
+      }
+      exportFrom = tempCopy;
+    }
+    SpreadsheetApp.flush(); // Sheets edits are buffered: make sure the export has them
+    return exportGoogleFile(exportFrom.getId(), toMimeType, copyState).setName(name);
+  } finally {
+    if (tempCopy) {
+      withDriveRetry('setTrashed', () => tempCopy.setTrashed(true), copyState);
+    }
+  }
+}
+
+/**
+ * Fills in the converted files that convertFileTo created empty, now that
+ * the links phase is done, so that their exports have the rewritten
+ * links. A file that can't be exported is trashed and reported as
+ * CONVERSION_FAILED. Done files are removed from `copyState.pendingExports`,
+ * so the phase can resume after a checkpoint.
+ * @param {object} folderIdMap - New folder IDs -> structure nodes.
+ * @param {object} copyState
+ */
+function exportPendingConversions(folderIdMap, copyState) {
+  var idMap = getIdMap(copyState);
+  var links = { idMap: idMap, sourceIds: Object.keys(idMap).filter(id => idMap[id] !== id) };
+
+  Object.keys(copyState.pendingExports).forEach(convertedId => {
+    checkJobBudget(copyState);
+    var pending = copyState.pendingExports[convertedId];
+    var node = folderIdMap[pending.folderId];
+    var key = Object.keys(node.files).find(name => node.files[name].id === convertedId);
+    var entry = node.files[key];
+    var location = entry.path + '/' + entry.name;
+    var file = withDriveRetry('getFileById', () => DriveApp.getFileById(pending.sourceId), copyState);
+    try {
+      var plainCopy = pending.plainCopyId ? withDriveRetry('getFileById', () => DriveApp.getFileById(pending.plainCopyId), copyState) : null;
+      var blob = exportForConversion(file, pending.toMimeType, plainCopy, openDestinationFolder(pending.folderId, copyState), 
+        entry.name, links, copyState);
+      uploadFileContent(convertedId, blob, copyState);
+      entry.size = blob.getBytes().length;
+    } catch (e) {
+      if (e.isCheckpoint || stopsWholeCopy(e)) {
+        throw e;
+      }
+      console.error("Could not convert file: " + file.getName() + ", Error: " + e.message);
+      copyState.errors.push(createReportError(e, 'CONVERSION_FAILED', 'Could not convert file to ' + pending.toMimeType + ': ' + e.message, 
+        { type: 'file', name: file.getName(), sourceId: pending.sourceId, path: location }));
+      withDriveRetry('setTrashed', () => DriveApp.getFileById(convertedId).setTrashed(true), copyState);
+      delete node.files[key];
+      delete copyState.convertedFiles[pending.sourceId];
+      if (!pending.plainCopyId) {
+        copyState.copiedFiles[pending.sourceId] = false;
+      }
+    }
+    delete copyState.pendingExports[convertedId];
+  });
+}
+
+/**
+ * Replaces a file's content through the Drive API's upload endpoint.
+ * @param {string} fileId
+ * @param {GoogleAppsScript.Base.Blob} blob
+ * @param {object} copyState
+ */
+function uploadFileContent(fileId, blob, copyState) {
+  var url = 'https://www.googleapis.com/upload/drive/v3/files/' + fileId + '?uploadType=media&supportsAllDrives=true';
+  withDriveRetry('uploadFile', () => {
+    var response = UrlFetchApp.fetch(url, {
+      method: 'patch',
+      contentType: blob.getContentType(),
+      payload: blob.getBytes(),
+      headers: { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() },
+      muteHttpExceptions: true
+    });
+    if (response.getResponseCode() !== 200) {
+      throw new Error('Upload failed (HTTP ' + response.getResponseCode() + '): ' + response.getContentText().slice(0, 200));
+    }
+  }, copyState);
+}
+
+/**
+ * Exports a Google file through the Drive API's export endpoint (Drive
+ * caps exports at 10 MB).
+ * @param {string} fileId
+ * @param {string} mimeType - e.g. "application/pdf"
+ * @param {object} copyState
+ * @returns {GoogleAppsScript.Base.Blob}
+ */
+function exportGoogleFile(fileId, mimeType, copyState) {
+  var url = 'https://www.googleapis.com/drive/v3/files/' + fileId + '/export?mimeType=' + encodeURIComponent(mimeType);
+  return withDriveRetry('exportFile', () => {
+    var response = UrlFetchApp.fetch(url, {
+      headers: { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() },
+      muteHttpExceptions: true
+    });
+    if (response.getResponseCode() !== 200) {
+      throw new Error('Export failed (HTTP ' + response.getResponseCode() + '): ' + response.getContentText().slice(0, 200));
+    }
+    return response.getBlob();
+  }, copyState);
+}
+
+
+// --- COPY FILTERS ---
+
+/**
+ * Decides whether the request's filters leave a file or folder out.
+ * Exclude patterns apply to both; the other filters only to files.
+ * @param {GoogleAppsScript.Drive.File|GoogleAppsScript.Drive.Folder} item - The source item.
+ * @param {string} relativePath - Its path relative to the source folder.
+ * @param {boolean} isFolder
+ * @param {object} copyState
+ * @returns {string|null} Why the item is skipped, or null to copy it.
+ */
+function getSkipReason(item, relativePath, isFolder, copyState) {
+  var filters = copyState.options.filters;
+  if (!filters) {
+    return null;
+  }
+
+  var excludePattern = findMatchingPattern(filters.exclude, relativePath);
+  if (excludePattern) {
+    return 'Matches exclude pattern "' + excludePattern + '"';
+  }
+  if (isFolder) {
+    return null;
+  }
+
+  if (filters.foldersOnly) {
+    return 'foldersOnly is set';
+  }
+  if (filters.include && filters.include.length && !findMatchingPattern(filters.include, relativePath)) {
+    return 'Does not match any include pattern';
+  }
+
+  var mimeType = item.getMimeType();
+  if (filters.includeMimeTypes && filters.includeMimeTypes.length && 
+      !filters.includeMimeTypes.some(allowed => matchesMimeType(mimeType, allowed))) {
+    return 'MIME type ' + mimeType + ' is not in includeMimeTypes';
+  }
+  if (filters.excludeMimeTypes && filters.excludeMimeTypes.some(denied => matchesMimeType(mimeType, denied))) {
+    return 'MIME type ' + mimeType + ' is in excludeMimeTypes';
+  }
+
+  if (filters.maxFileSize && item.getSize() > filters.maxFileSize) {
+    return 'Size ' + formatBytes(item.getSize()) + ' is over maxFileSize (' + formatBytes(filters.maxFileSize) + ')';
+  }
+  return null;
+}
+
+/**
+ * Finds the first glob pattern that matches a path. Patterns containing a
+ * '/' are matched against the whole relative path; other patterns against
+ * the item's name only (so "_drafts" matches a folder of that name anywhere).
+ * Matching is case-insensitive.
+ * @param {string[]} [patterns]
+ * @param {string} relativePath - e.g. "Assets/Video/master.mov"
+ * @returns {string|null} The matching pattern, or null.
+ */
+function findMatchingPattern(patterns, relativePath) {
+  if (!patterns) {
+    return null;
+  }
+  var name = relativePath.split('/').pop();
+  for (var i = 0; i < patterns.length; i++) {
+    var pattern = patterns[i];
+    var subject = pattern.indexOf('/') === -1 ? name : relativePath;
+    if (globToRegExp(pattern).test(subject)) {
+      return pattern;
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts a glob pattern to a regular expression.
+ * `*` matches within one path segment, `**` across segments, `?` one character.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  var source = '';
+  for (var i = 0; i < pattern.length; i++) {
+    var char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?'; // "**/" also matches no folders at all
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp('^' + source + '$', 'i');
+}
+
+/**
+ * @param {string} mimeType - e.g. "video/mp4"
+ * @param {string} pattern - A MIME type, or a wildcard like "video/*".
+ * @returns {boolean}
+ */
+function matchesMimeType(mimeType, pattern) {
+  if (pattern.slice(-2) === '/*') {
+    return mimeType.indexOf(pattern.slice(0, -1)) === 0;
+  }
+  return mimeType === pattern;
+}
+
+/**
+ * Adds an item the filters left out to the report.
+ * @param {object} copyState
+ * @param {string} type - 'file' or 'folder'
+ * @param {GoogleAppsScript.Drive.File|GoogleAppsScript.Drive.Folder} item - The source item.
+ * @param {string} relativePath
+ * @param {string} reason
+ */
+function recordSkippedItem(copyState, type, item, relativePath, reason) {
+  copyState.skipped.push({
+    type: type,
+    name: item.getName(),
+    sourceId: item.getId(),
+    path: relativePath,
+    reason: reason
+  });
+}
+
+/**
+ * Builds an entry for the report's `errors`. A transient error (which
+ * outlasted withDriveRetry) is marked retryable: running the copy again in
+ * update mode may pick the item up.
+ * @param {Error} error
+ * @param {string} fallbackCode - Code (ERROR_CODES) for errors that don't carry one.
+ * @param {string} [reason] - Defaults to the error's message.
+ * @param {object} [item] - The item concerned: type, name, sourceId and path.
+ * @returns {object}
+ */
+function createReportError(error, fallbackCode, reason, item) {
+  var code = error.code && ERROR_CODES[error.code] ? error.code : fallbackCode;
+  return Object.assign({
+    code: code,
+    retryable: ERROR_CODES[code].retryable || isTransientDriveError(error)
+  }, item, {
+    reason: reason || error.message
+  });
+}
+
+
+// --- JOB RECORD STORE ---
+
+/**
+ * Creates the record for a newly queued async job.
+ * @param {string} jobId
+ * @param {object} jobData - The job's request details.
+ * @returns {object}
+ */
+function createJobRecord(jobId, jobData) {
+  var now = new Date().toISOString();
+  return {
+    jobId: jobId,
+    status: 'queued',
+    request: jobData,
+    createdAt: now,
+    startedAt: null,
+    updatedAt: now,
+    finishedAt: null,
+    runs: 0,         // Trigger runs the job has taken so far
+    progress: null,
+    state: null,     // Copy state checkpoint, while the job is in progress
+    result: null,    // Final report, once the job has finished
+    error: null,
+    errorCode: null  // See ERROR_CODES
   };
+}
 
-  // --- SAVE JSON REPORT (Create-Then-Update Logic) ---
-  
-  if (saveJsonOutput && newFolder) {
-    try {
-      // 1. Create a placeholder file to get an ID and URL
-      reportFile = newFolder.createFile(reportFileName, '{}', 'application/json');
-      
-      // 2. Get the new report file's info
-      var reportFileInfo = {
-        name: reportFile.getName(),
-        id: reportFile.getId(),
-        url: reportFile.getUrl(),
-        path: getFilePath(newFolder, folderIdMap), // Path will be just the main folder name
-        folderId: newFolder.getId(),
-        size: 0, // Placeholder size, will update later
-        mimeType: reportFile.getMimeType(),
-        createdTime: reportFile.getDateCreated().toISOString()
-      };
-      
-      // 3. Add the report's info back into the returnData
-      returnData.folderStructure.files[reportFileName] = reportFileInfo;
-      createdFiles.push(reportFileInfo); // Add to the flat list
-      
-      // 4. Recalculate summary to include the (empty) report file
-      returnData.summary.totalFiles = createdFiles.length;
-      var newTotalSize = createdFiles.reduce((sum, file) => sum + file.size, 0);
-      returnData.summary.totalSize = newTotalSize;
-      returnData.summary.totalSizeHuman = formatBytes(newTotalSize);
+/**
+ * Creates the record for a newly queued batch.
+ * @param {string} batchId
+ * @param {string} callbackUrl
+ * @param {string} apiKeyName
+ * @param {string[]} jobIds - In the order of the request's `jobs`.
+ * @returns {object}
+ */
+function createBatchRecord(batchId, callbackUrl, apiKeyName, jobIds) {
+  var now = new Date().toISOString();
+  return {
+    batchId: batchId,
+    callbackUrl: callbackUrl,
+    apiKeyName: apiKeyName,
+    jobIds: jobIds,
+    finishedJobIds: [],
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+}
 
+/**
+ * Gets (or creates) the Drive folder that holds job records.
+ * @returns {GoogleAppsScript.Drive.Folder}
+ */
+function getJobStoreFolder() {
+  var properties = PropertiesService.getScriptProperties();
+  var folderId = properties.getProperty(CONFIG.JOB_STORE_FOLDER_PROPERTY_NAME);
+  if (folderId) {
+    try {
+      var folder = DriveApp.getFolderById(folderId);
+      if (!folder.isTrashed()) {
+        return folder;
+      }
     } catch (e) {
-      var saveError = "Failed to create placeholder JSON report: " + e.message;
-      console.error(saveError);
-      returnData.errors.push(saveError);
-      returnData.success = false; // Mark as false if saving the report fails
+      console.error('Job store folder ' + folderId + ' is gone. Creating a new one.');
     }
   }
+  var newFolder = DriveApp.createFolder(CONFIG.JOB_STORE_FOLDER_NAME);
+  properties.setProperty(CONFIG.JOB_STORE_FOLDER_PROPERTY_NAME, newFolder.getId());
+  return newFolder;
+}
 
-  // --- FINALISE EXECUTION TIME ---
-  // Do this *before* the final write, so it's *in* the saved file.
-  var endTime = new Date();
-  var executionTimeMs = endTime.getTime() - startTime.getTime();
-  var executionTimeSeconds = (executionTimeMs / 1000).toFixed(2);
-  returnData.summary.executionTime = executionTimeSeconds + ' seconds';
-  
-  // --- FINAL JSON WRITE ---
-  // Now that we have the exec time, update the report file with final content
-  if (saveJsonOutput && reportFile) {
-    try {
-      var finalJsonContent = JSON.stringify(returnData, null, 2);
-      reportFile.setContent(finalJsonContent);
-      
-      // And update the size in our response object
-      var finalFileSize = reportFile.getSize();
-      returnData.folderStructure.files[reportFileName].size = finalFileSize;
-      
-      // Recalculate total size one last time
-      var newTotalSize = createdFiles.reduce((sum, file) => {
-        return sum + (file.id === reportFile.getId() ? finalFileSize : file.size);
-      }, 0);
-      returnData.summary.totalSize = newTotalSize;
-      returnData.summary.totalSizeHuman = formatBytes(newTotalSize);
-      
-      // Recalculate execution time *again* to be as accurate as possible
-      // for the API response (includes the file write time).
-      endTime = new Date();
-      executionTimeMs = endTime.getTime() - startTime.getTime();
-      executionTimeSeconds = (executionTimeMs / 1000).toFixed(2);
-      returnData.summary.executionTime = executionTimeSeconds + ' seconds';
-      
-    } catch (e) {
-      var saveError = "Failed to write final content to JSON report: " + e.message;
-      console.error(saveError);
-      returnData.errors.push(saveError);
-      returnData.success = false;
+/**
+ * Finds a (non-trashed) file in the job store by name.
+ * @param {string} fileName
+ * @returns {GoogleAppsScript.Drive.File|null}
+ */
+function findJobStoreFile(fileName) {
+  var files = getJobStoreFolder().getFilesByName(fileName);
+  while (files.hasNext()) {
+    var file = files.next();
+    if (!file.isTrashed()) {
+      return file;
     }
   }
+  return null;
+}
 
-  // Return the *final* modified JSON string
-  return JSON.stringify(returnData, null, 2);
+/**
+ * Saves a record as JSON in the job store (creating its file on first save).
+ * @param {string} fileName
+ * @param {object} record
+ */
+function writeJobStoreRecord(fileName, record) {
+  record.updatedAt = new Date().toISOString();
+  var content = JSON.stringify(record);
+  var recordFile = findJobStoreFile(fileName);
+  if (recordFile) {
+    recordFile.setContent(content);
+  } else {
+    getJobStoreFolder().createFile(fileName, content, 'application/json');
+  }
 }
 
 /**
- * Recursively creates the folder hierarchy.
+ * Loads a JSON record from the job store.
+ * @param {string} prefix - e.g. 'job_'.
+ * @param {string} id - The record's ID (validated, as it comes from requests).
+ * @returns {object|null} The record, or null if there is none.
  */
-function createFolderStructureRecursive(sourceFolder, destinationFolder, currentStructure, folderIdMap) {
-  var subfolders = sourceFolder.getFolders();
-  while (subfolders.hasNext()) {
-    var subfolder = subfolders.next();
-    var newSubfolder = destinationFolder.createFolder(subfolder.getName());
-    
-    var newStructureNode = {
-      name: newSubfolder.getName(),
-      id: newSubfolder.getId(),
-      url: newSubfolder.getUrl(),
-      subFolders: {},
-      files: {}
-    };
-    
-    currentStructure.subFolders[newSubfolder.getName()] = newStructureNode;
-    folderIdMap[newSubfolder.getId()] = newStructureNode;
-    
-    createFolderStructureRecursive(subfolder, newSubfolder, newStructureNode, folderIdMap);
+function readJobStoreRecord(prefix, id) {
+  if (!/^[a-zA-Z0-9-]+$/.test(id)) {
+    return null;
+  }
+  var recordFile = findJobStoreFile(prefix + id + '.json');
+  return recordFile ? JSON.parse(recordFile.getBlob().getDataAsString()) : null;
+}
+
+/**
+ * Saves a job record (creating its file on first save).
+ * @param {object} record
+ */
+function saveJobRecord(record) {
+  writeJobStoreRecord('job_' + record.jobId + '.json', record);
+}
+
+/**
+ * Loads a job record.
+ * @param {string} jobId
+ * @returns {object|null} The record, or null if there is none.
+ */
+function loadJobRecord(jobId) {
+  return readJobStoreRecord('job_', jobId);
+}
+
+/**
+ * Trashes a job record, if there is one.
+ * @param {string} jobId
+ */
+function deleteJobRecord(jobId) {
+  var file = findJobStoreFile('job_' + jobId + '.json');
+  if (file) {
+    file.setTrashed(true);
+  }
+}
+
+/**
+ * Saves a batch record (creating its file on first save).
+ * @param {object} batch
+ */
+function saveBatchRecord(batch) {
+  writeJobStoreRecord('batch_' + batch.batchId + '.json', batch);
+}
+
+/**
+ * Loads a batch record.
+ * @param {string} batchId
+ * @returns {object|null} The record, or null if there is none.
+ */
+function loadBatchRecord(batchId) {
+  return readJobStoreRecord('batch_', batchId);
+}
+
+/**
+ * Trashes a batch record, if there is one.
+ * @param {string} batchId
+ */
+function deleteBatchRecord(batchId) {
+  var file = findJobStoreFile('batch_' + batchId + '.json');
+  if (file) {
+    file.setTrashed(true);
   }
 }
 
 /**
- * Recursively copies files into the new folder structure.
+ * Finds the unfinished batch a job belongs to, for a job whose own
+ * record (which names its batch) is gone.
+ * @param {string} jobId
+ * @returns {string|null} The batch's ID, or null if it isn't in one.
  */
-function copyFilesRecursive(sourceFolder, destinationFolder, currentStructure, folderIdMap, createdFiles) {
-  var files = sourceFolder.getFiles();
+function findBatchIdForJob(jobId) {
+  var files = getJobStoreFolder().getFiles();
   while (files.hasNext()) {
     var file = files.next();
-    try {
-      var newFile = file.makeCopy(file.getName(), destinationFolder);
-      var fileInfo = {
-        name: newFile.getName(),
-        id: newFile.getId(),
-        url: newFile.getUrl(),
-        path: getFilePath(destinationFolder, folderIdMap),
-        folderId: destinationFolder.getId(),
-        size: newFile.getSize(),
-        mimeType: newFile.getMimeType(),
-        createdTime: newFile.getDateCreated().toISOString()
-      };
-      
-      currentStructure.files[newFile.getName()] = fileInfo;
-      createdFiles.push(fileInfo);
-    } catch (e) {
-      console.error("Could not copy file: " + file.getName() + ", Error: " + e.message);
+    if (file.getName().indexOf('batch_') !== 0 || file.isTrashed()) {
+      continue;
     }
-  }
-  
-  var subfolders = sourceFolder.getFolders();
-  while (subfolders.hasNext()) {
-    var subfolder = subfolders.next();
-    var destSubfolderIterator = destinationFolder.getFoldersByName(subfolder.getName());
-    if (destSubfolderIterator.hasNext()) {
-      var destSubfolder = destSubfolderIterator.next();
-      var subStructure = currentStructure.subFolders[destSubfolder.getName()];
-      copyFilesRecursive(subfolder, destSubfolder, subStructure, folderIdMap, createdFiles);
-    } else {
-      console.error("Error: Destination subfolder not found: " + subfolder.getName());
+    var batch = JSON.parse(file.getBlob().getDataAsString());
+    if (!batch.finishedAt && batch.jobIds.indexOf(jobId) !== -1) {
+      return batch.batchId;
     }
   }
+  return null;
 }
 
+/**
+ * Saves a schedule (creating its file on first save).
+ * @param {object} schedule
+ */
+function saveScheduleRecord(schedule) {
+  writeJobStoreRecord('schedule_' + schedule.scheduleId + '.json', schedule);
+}
 
-// --- UTILITY FUNCTIONS ---
+/**
+ * Loads a schedule.
+ * @param {string} scheduleId
+ * @returns {object|null} The schedule, or null if there is none.
+ */
+function loadScheduleRecord(scheduleId) {
+  return readJobStoreRecord('schedule_', scheduleId);
+}
 
 /**
- * Gets the relative path of a folder.
+ * Trashes job records that haven't been updated for
+ * CONFIG.JOB_RECORD_RETENTION_DAYS. Runs at most once an hour.
  */
-function getFilePath(folder, folderIdMap) {
-  var path = [];
-  var currentFolder = folder;
+function purgeExpiredJobRecords() {
+  var cache = CacheService.getScriptCache();
+  if (cache.get('lastJobRecordPurge')) {
+    return;
+  }
+  cache.put('lastJobRecordPurge', new Date().toISOString(), 3600);
 
-  // Keep looping as long as we have a folder
-  while (currentFolder) {
-    var currentId = currentFolder.getId();
-    
-    // Check if this folder is one we created
-    var folderInfo = folderIdMap[currentId];
-    
-    if (folderInfo) {
-      // It's in our map, add its name to the path
-      path.unshift(currentFolder.getName());
-      
-      // Now, find *its* parent *within* our map
-      var parents = currentFolder.getParents();
-      var parentFoundInMap = false;
-      while (parents.hasNext()) {
-        var parent = parents.next();
-        if (folderIdMap[parent.getId()]) {
-          // This is the parent we're looking for
-          currentFolder = parent;
-          parentFoundInMap = true;
-          break; // Exit the inner 'parents' loop
-        }
-      }
-      
-      // If we checked all parents and none are in our map,
-      // we must be at the root. Stop looping.
-      if (!parentFoundInMap) {
-        currentFolder = null; 
-      }
-    } else {
-      // This folder (e.g., the destinationFolder) is not in our map.
-      // This means we've gone "above" our copied root. Stop.
-      currentFolder = null;
+  var cutoff = new Date().getTime() - CONFIG.JOB_RECORD_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  var files = getJobStoreFolder().getFiles();
+  while (files.hasNext()) {
+    var file = files.next();
+    // Dead letters stay until they are replayed, schedules until they are deleted
+    var isRecord = file.getName().indexOf('job_') === 0 || file.getName().indexOf('batch_') === 0;
+    if (isRecord && file.getLastUpdated().getTime() < cutoff) {
+      file.setTrashed(true);
     }
   }
-  return path.join('/');
 }
 
 
+// --- UTILITY FUNCTIONS ---
+
 /**
  * Ensures a unique folder name.
  */
@@ -685,38 +6497,245 @@ function formatBytes(bytes) {
 }
 
 /**
- * Checks if the user is making requests too frequently (for sync mode).
+ * Converts a byte array (e.g. from Utilities.computeHmacSha256Signature)
+ * to a lowercase hex string.
  */
-function checkRateLimit() {
-  var cache = CacheService.getScriptCache();
-  var key = 'lastExecution_' + Session.getActiveUser().getEmail();
-  var lastExecution = cache.get(key);
-  var now = new Date().getTime();
-  
-  if (lastExecution && now - parseInt(lastExecution) < 1000) { // 1 second limit
-    throw new Error('Rate limit exceeded. Please wait a moment and try again.');
-  }
-  cache.put(key, now.toString(), 60); // Store for 60 seconds
+function toHex(bytes) {
+  return bytes.map(b => ('0' + (b & 0xff).toString(16)).slice(-2)).join('');
 }
 
 /**
- * Validates the format of Google Drive IDs.
+ * Validates the format of Google Drive IDs. (A trash request has no
+ * destination.)
  */
 function validateInput(sourceFolderId, destinationFolderId) {
   var idRegex = /^[a-zA-Z0-9-_]+$/;
-  if (!idRegex.test(sourceFolderId) || !idRegex.test(destinationFolderId)) {
-    throw new Error('Invalid input format. Folder IDs should only contain letters, numbers, hyphens, and underscores.');
+  var hasDestination = destinationFolderId !== undefined;
+  if (!idRegex.test(sourceFolderId) || (hasDestination && !idRegex.test(destinationFolderId))) {
+    throw createApiError('INVALID_FOLDER_ID', 'Invalid input format. Folder IDs should only contain letters, numbers, hyphens, and underscores.', 
+      { field: !idRegex.test(sourceFolderId) ? 'sourceFolderId' : 'destinationFolderId' });
+  }
+}
+
+/**
+ * Validates the optional 'variables' map: an object of name -> text.
+ */
+function validateVariables(variables) {
+  if (variables === undefined) {
+    return;
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw createApiError('INVALID_REQUEST', 'Invalid variables. Expected an object like { "ClientName": "Acme" }.', { field: 'variables' });
+  }
+  Object.keys(variables).forEach(key => {
+    var value = variables[key];
+    if (/[{}]/.test(key) || (typeof value !== 'string' && typeof value !== 'number')) {
+      throw createApiError('INVALID_REQUEST', 'Invalid variable "' + key + '". Names must not contain braces and values must be text or numbers.', 
+        { field: 'variables.' + key });
+    }
+  });
+}
+
+/**
+ * Validates the optional 'filters' object.
+ */
+function validateFilters(filters) {
+  if (filters === undefined || filters === null) {
+    return;
+  }
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw createApiError('INVALID_REQUEST', 'Invalid filters. Expected an object, e.g. { "exclude": ["_drafts"] }.', { field: 'filters' });
+  }
+  ['include', 'exclude', 'includeMimeTypes', 'excludeMimeTypes'].forEach(key => {
+    var list = filters[key];
+    if (list !== undefined && (!Array.isArray(list) || list.some(entry => typeof entry !== 'string'))) {
+      throw createApiError('INVALID_REQUEST', 'Invalid filters.' + key + '. Expected an array of strings.', { field: 'filters.' + key });
+    }
+  });
+  if (filters.maxFileSize !== undefined && !(typeof filters.maxFileSize === 'number' && filters.maxFileSize > 0)) {
+    throw createApiError('INVALID_REQUEST', 'Invalid filters.maxFileSize. Expected a number of bytes greater than 0.', 
+      { field: 'filters.maxFileSize' });
+  }
+  if (filters.foldersOnly !== undefined && typeof filters.foldersOnly !== 'boolean') {
+    throw createApiError('INVALID_REQUEST', 'Invalid filters.foldersOnly. Expected true or false.', { field: 'filters.foldersOnly' });
+  }
+}
+
+/**
+ * Validates the optional 'properties' object (custom Drive properties to
+ * add to every new item). Drive allows 124 bytes per key plus value.
+ */
+function validateProperties(properties) {
+  if (properties === undefined || properties === null) {
+    return;
+  }
+  if (typeof properties !== 'object' || Array.isArray(properties)) {
+    throw createApiError('INVALID_REQUEST', 'Invalid properties. Expected an object like { "projectId": "P-123" }.', { field: 'properties' });
+  }
+  Object.keys(properties).forEach(key => {
+    var value = properties[key];
+    if (typeof value !== 'string' || Utilities.newBlob(key + value).getBytes().length > 124) {
+      throw createApiError('INVALID_REQUEST', 'Invalid property "' + key + '". Values must be text, and key plus value at most 124 bytes.', 
+        { field: 'properties.' + key });
+    }
+  });
+  if (!hasDriveAdvancedService()) {
+    throw createApiError('CONFIG_ERROR', 'The properties option needs the Drive API advanced service. Enable it under Services in the script editor.', 
+      { field: 'properties' });
+  }
+}
+
+/**
+ * Checks the `convert` option: a list of rules like { "from":
+ * "application/vnd.google-apps.document", "to": "application/pdf" }.
+ * @param {*} convert
+ * @throws {Error} INVALID_REQUEST, or CONFIG_ERROR if imports need the
+ *   Drive advanced service and it isn't enabled.
+ */
+function validateConvertRules(convert) {
+  if (convert === undefined || convert === null) {
+    return;
+  }
+  if (!Array.isArray(convert)) {
+    throw createApiError('INVALID_REQUEST', 'Invalid convert. Expected a list of rules like { "from": "application/vnd.google-apps.document", "to": "application/pdf" }.', 
+      { field: 'convert' });
+  }
+  convert.forEach((rule, index) => {
+    var field = 'convert[' + index + ']';
+    if (!rule || typeof rule !== 'object' || typeof rule.from !== 'string' || !CONVERSIONS.hasOwnProperty(rule.to)) {
+      throw createApiError('INVALID_REQUEST', 'Invalid ' + field + '. Expected "from" (a MIME type or wildcard) and "to" (one of: ' + 
+        Object.keys(CONVERSIONS).join(', ') + ').', { field: field });
+    }
+    if (rule.from.slice(-2) !== '/*' && CONVERSIONS[rule.to].indexOf(rule.from) === -1) {
+      throw createApiError('INVALID_REQUEST', 'Invalid ' + field + '. ' + rule.from + ' files cannot be converted to ' + rule.to + '.', 
+        { field: field });
+    }
+    if (rule.keepOriginal !== undefined && typeof rule.keepOriginal !== 'boolean') {
+      throw createApiError('INVALID_REQUEST', 'Invalid ' + field + '.keepOriginal. Expected true or false.', { field: field + '.keepOriginal' });
+    }
+  });
+  if (convert.some(rule => isGoogleMimeType(rule.to)) && !hasDriveAdvancedService()) {
+    throw createApiError('CONFIG_ERROR', 'Converting to Google files needs the Drive API advanced service. Enable it under Services in the script editor.', 
+      { field: 'convert' });
+  }
+}
+
+/**
+ * Validates the optional 'shareWith' object.
+ */
+function validateShareWith(shareWith) {
+  if (shareWith === undefined || shareWith === null) {
+    return;
+  }
+  if (typeof shareWith !== 'object' || Array.isArray(shareWith)) {
+    throw createApiError('INVALID_REQUEST', 'Invalid shareWith. Expected an object, e.g. { "editors": ["pm@example.com"] }.', { field: 'shareWith' });
+  }
+  ['editors', 'viewers'].forEach(key => {
+    var list = shareWith[key];
+    if (list !== undefined && (!Array.isArray(list) || list.some(email => typeof email !== 'string' || !/^[^@\s]+@[^@\s]+$/.test(email)))) {
+      throw createApiError('INVALID_REQUEST', 'Invalid shareWith.' + key + '. Expected an array of email addresses.', { field: 'shareWith.' + key });
+    }
+  });
+}
+
+/**
+ * Validates the optional report options: 'reportFormats', 'reportFolderId'
+ * and 'reportSheetId' (a Google Sheet, used by the 'sheet' format).
+ */
+function validateReportOptions(params) {
+  var formats = params.reportFormats;
+  var knownFormats = ['json'].concat(Object.keys(CONFIG.REPORT_FORMATS));
+  if (formats !== undefined && (!Array.isArray(formats) || !formats.length || 
+      formats.some(format => knownFormats.indexOf(format) === -1))) {
+    throw createApiError('INVALID_REQUEST', 'Invalid reportFormats. Expected a list of: ' + knownFormats.join(', ') + '.', 
+      { field: 'reportFormats' });
+  }
+  var idRegex = /^[a-zA-Z0-9-_]+$/;
+  if (params.reportFolderId !== undefined) {
+    if (typeof params.reportFolderId !== 'string' || !idRegex.test(params.reportFolderId)) {
+      throw createApiError('INVALID_FOLDER_ID', 'Invalid reportFolderId. Folder IDs should only contain letters, numbers, hyphens, and underscores.', 
+        { field: 'reportFolderId' });
+    }
+    verifyFolderAccess(params.reportFolderId, 'Report');
+  }
+  if (params.reportSheetId !== undefined) {
+    if (!formats || formats.indexOf('sheet') === -1) {
+      throw createApiError('INVALID_REQUEST', "reportSheetId needs 'sheet' in reportFormats.", { field: 'reportSheetId' });
+    }
+    if (typeof params.reportSheetId !== 'string' || !idRegex.test(params.reportSheetId)) {
+      throw createApiError('INVALID_REQUEST', 'Invalid reportSheetId.', { field: 'reportSheetId' });
+    }
+    try {
+      var sheetFile = DriveApp.getFileById(params.reportSheetId);
+    } catch (e) {
+      if (isTransientDriveError(e)) {
+        throw createApiError('SERVICE_UNAVAILABLE', 'Could not check the report sheet: ' + e.message, { fileId: params.reportSheetId });
+      }
+      throw createApiError('REPORT_NOT_FOUND', 'Report sheet not found or access denied: ' + params.reportSheetId, 
+        { fileId: params.reportSheetId });
+    }
+    if (sheetFile.getMimeType() !== MimeType.GOOGLE_SHEETS) {
+      throw createApiError('INVALID_REQUEST', 'reportSheetId is not a Google Sheet.', { field: 'reportSheetId' });
+    }
+  }
+}
+
+/**
+ * Checks a time zone name (e.g. 'Europe/Berlin', 'UTC', 'GMT+2'). The
+ * name must be known: Utilities.formatDate quietly uses GMT for any zone
+ * it doesn't know.
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string') {
+    return false;
+  }
+  if (/^GMT[+-]\d{1,2}(:\d{2})?$/.test(timeZone)) {
+    return true; // Custom offsets, which aren't IANA names
   }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+    return true;
+  } catch (e) {
+    return false; // RangeError: not a known IANA name
+  }
+}
+
+/**
+ * Joins a relative parent path and a name ('' is the root).
+ */
+function joinPath(parentPath, name) {
+  return parentPath ? parentPath + '/' + name : name;
+}
+
+/**
+ * Escapes text for use in HTML.
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Escapes a string for use as a literal in a regular expression.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 /**
  * Verifies that the script has access to the specified folder.
+ * @param {string} folderId
+ * @param {string} folderType - 'Source', 'Destination', 'Target' or 'Report'.
  */
 function verifyFolderAccess(folderId, folderType) {
   try {
     DriveApp.getFolderById(folderId);
   } catch (e) {
-    throw new Error(folderType + ' folder not found or access denied: ' + folderId);
+    if (isTransientDriveError(e)) {
+      throw createApiError('SERVICE_UNAVAILABLE', 'Could not check the ' + folderType.toLowerCase() + ' folder: ' + e.message, 
+        { folderId: folderId });
+    }
+    throw createApiError(folderType.toUpperCase() + '_NOT_FOUND', folderType + ' folder not found or access denied: ' + folderId, 
+      { folderId: folderId });
   }
 }
 